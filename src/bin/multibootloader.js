@@ -2,38 +2,214 @@
 
 'use strict';
 
-import { DiscoBusMaster } from 'discobus';
+import * as fs from 'fs';
 import SerialPort from 'serialport';
 import config from 'commander';
 import { terminal } from 'terminal-kit';
 import MultiBootloader from '../lib';
+import { parseNodeList, formatNodeList } from '../nodes';
+import { findMcu, findMcuBySignature, formatSignature } from '../mcu';
+import { createSignal, SERIAL_LINES } from '../signal';
+import { RETRY_STRATEGIES } from '../retry';
+import { SimulatedSerialPort } from '../simulator';
+import { createTransport, transportScheme } from '../transport';
+import { Recorder, parseCapture, captureSessions, decodeCapture } from '../recorder';
+import { parseBytes } from '../entry';
+import { findConfigFile, readConfigFile, envOptions, envName, resolveOptions } from '../config';
+import pkg from '../../package.json';
 
 require('source-map-support').install();
 
 const DEFAULT_TIMEOUT = 5000;
+const PROGRESS_TITLE_SIZE = 32;
+
+// The exit code for each programming error code, and the CLI's own errors (any other error exits with 1)
+const EXIT_CODES = {
+  EIMAGEREAD: 2,
+  EIMAGEPARSE: 3,
+  EIMAGESIZE: 4,
+  EDISCOVERY: 5,
+  ESIGNALTIMEOUT: 6,
+  ESIGNALREAD: 7,
+  ESERIALWRITE: 8,
+  ENODEVERIFY: 9,
+  EMAXRETRIES: 10,
+  EBUSY: 11,
+  EUSAGE: 12,
+  EPORTOPEN: 13,
+  EABORTED: 130,
+};
+
+// The command line options: the flags, description and, for options with a value, an optional function to parse it
+const OPTIONS = [
+  ['-l, --list', 'List all serial devices'],
+  ['-b, --baud <number>', 'Baud rate to the serial device', parseInt],
+  ['-c, --command <number>', 'The Disco Bus message command that puts the devices into the bootloader.'],
+  ['--command-data <bytes>', 'Data to send with the bootloader command, like an unlock code: hex (55aa) or numbers (0x55,0xAA)'],
+  ['--command-repeat <number>', 'How many times to send the bootloader command (default 1)', parseInt],
+  ['--command-interval <ms>', 'The milliseconds between each bootloader command (default 100)', parseInt],
+  ['--entry-timeout <ms>', 'How long to wait for the signal line to show the devices are in the bootloader (default 5000)', parseInt],
+  ['-d, --device <name>', 'The serial device to connect to, or a network bridge: tcp://host:port or rfc2217://host:port'],
+  ['-s, --page-size <number>', 'The programming page size for your device.', parseInt],
+  ['-m, --mcu <name>', 'The MCU type (i.e. atmega328p), to get the page size (detected from the nodes by default)'],
+  ['-p, --prog-version <maj.min>', 'The major.minor version of your program (for example 1.5)'],
+  ['--force', 'Program all nodes, even if they already have this program version or newer'],
+  ['--signal <line>', 'The signal line: dsr (default), cts, dcd, ri, gpio:<pin>, gpiochip<n>:<line> or none'],
+  ['--signal-invert', 'The signal line is HIGH enabled, instead of LOW enabled'],
+  ['-t, --timeout <number>', 'How long to wait for devices to be ready for programming'],
+  ['-P, --protocol <version>', 'The bootloader protocol version on the devices: 1 (default) or 2 for more than 256 pages', parseInt],
+  ['-n, --nodes <list>', 'Only program these node addresses, for example: 3-10,14 (default: all nodes)'],
+  ['--json', 'Output newline-delimited JSON events while programming (status, progress, error and summary), or the scan results as JSON'],
+  ['--no-progress', 'Print plain progress lines instead of a progress bar (the default when the output is not a terminal)'],
+  ['--crc', 'Send a CRC with each page and the whole image, so devices can verify the program'],
+  ['--verify', 'After programming, read back a checksum of the flash on each device and reprogram the devices that do not match'],
+  ['--verify-retries <number>', 'How many times to reprogram devices that fail verification (default 1)', parseInt],
+  ['--skip-blank-pages', 'Do not send pages that are entirely blank (the bootloader must erase flash first)'],
+  ['--retry-strategy <name>', 'How to resend pages that fail: selective (default, only the failed pages) or restart'],
+  ['--max-page-retries <number>', 'How many times each page can be resent with the selective retry strategy', parseInt],
+  ['--pacing <ms|adaptive>', 'The milliseconds to pause between pages (default 20), or adaptive to tune it while programming'],
+  ['--record <file>', 'Record the bus traffic, signal line readings and programming decisions to a JSONL capture file'],
+  ['--simulate <number>', 'Program a simulated bus of this many nodes, instead of a serial device (for dry runs and CI)', parseInt],
+  ['-f, --format <type>', 'The program file format: hex, elf, srec or bin (detected by default)'],
+  ['--eeprom <file>', 'An EEPROM file (like program.eep) to write to the devices after the program'],
+  ['--profile <name>', 'Use this profile from the config file (see config show)'],
+  ['--config-file <file>', 'The config file to use, instead of looking for .multibootloaderrc'],
+];
+
+// The options that can't be set by the config file or environment variables
+const CLI_ONLY_OPTIONS = ['list', 'profile', 'configFile'];
+
+// The default option values
+const DEFAULTS = {
+  timeout: DEFAULT_TIMEOUT,
+  signal: 'dsr',
+  protocol: 1,
+  retryStrategy: 'selective',
+  progress: !!process.stdout.isTTY,
+};
+
+// Records the session to the --record capture file
+let recorder = null;
+
+// The resolved options, with where each one came from (see loadConfig())
+let settings = null;
 
 /**
  * Run program
  */
 function main() {
   parseArgs();
+  try {
+    settings = loadConfig();
+  } catch (err) {
+    exitWithError(err.message, 'EUSAGE');
+  }
+  const scan = (config.args[0] === 'scan');
+  const capture = (['decode', 'replay'].indexOf(config.args[0]) > -1);
 
   // List ports
   if (config.list) {
     SerialPort.list((err, ports) => {
+      if (err) {
+        exitWithError(`Could not list the serial devices (${err.message || err})`, 'EPORTOPEN');
+      }
       ports.forEach(port => console.log(port.comName));
       process.exit();
     });
   }
 
-  // Missing required options
-  else if (!config.baud || !config.device || !config.pageSize || config.args.length === 0) {
-    config.outputHelp();
-    process.exit();
+  // Show the resolved settings
+  else if (config.args[0] === 'config') {
+    if (config.args[1] !== 'show') {
+      exitWithUsage(`Unknown config command '${config.args[1] || ''}'. Use config show.`);
+    }
+    showConfig();
+  }
+
+  // Decode or replay a capture file
+  else if (capture) {
+    if (config.args.length < 2) {
+      exitWithUsage(`Missing the capture file (multibootloader ${config.args[0]} <capture.jsonl>)`);
+    }
+    else if (config.args[0] === 'decode') {
+      decodeFile(config.args[1]);
+    }
+    else {
+      replayFile(config.args[1]);
+    }
+  }
+
+  // Missing required options (a simulated bus doesn't need a device)
+  else if ((!config.simulate && (!config.baud || !config.device)) || (!scan && config.args.length === 0)) {
+    const missing = [];
+    if (!config.simulate && !config.device) {
+      missing.push('--device');
+    }
+    if (!config.simulate && !config.baud) {
+      missing.push('--baud');
+    }
+    if (!scan && config.args.length === 0) {
+      missing.push('the program file');
+    }
+    exitWithUsage(`Missing ${missing.join(', ')}`);
+  }
+
+  // Unknown MCU
+  else if (config.mcu && !findMcu(config.mcu)) {
+    exitWithError(`Unknown MCU '${config.mcu}'. Set --page-size instead.`, 'EUSAGE');
+  }
+  else if (config.signal && !isValidSignal(config.signal)) {
+    exitWithError(`Unknown signal line '${config.signal}'. Use dsr, cts, dcd, ri, gpio:<pin>, gpiochip<n>:<line> or none.`, 'EUSAGE');
+  }
+  else if (transportScheme(config.device) === 'tcp' && SERIAL_LINES.indexOf(`${config.signal}`.toLowerCase()) > -1) {
+    exitWithError(`A raw TCP bridge can't read the ${config.signal.toUpperCase()} line. Use a GPIO signal line, --signal none or an rfc2217:// device.`, 'EUSAGE');
+  }
+  else if (config.retryStrategy && RETRY_STRATEGIES.indexOf(config.retryStrategy) === -1) {
+    exitWithError(`Unknown retry strategy '${config.retryStrategy}'. Use ${RETRY_STRATEGIES.join(' or ')}.`, 'EUSAGE');
+  }
+  else if (config.pacing && !parsePacing()) {
+    exitWithError(`Unknown pacing '${config.pacing}'. Use adaptive or the milliseconds between pages.`, 'EUSAGE');
+  }
+  else if (config.mcu && config.pageSize && findMcu(config.mcu).pageSize !== config.pageSize) {
+    exitWithError(`Page size ${config.pageSize} does not match the ${config.mcu} page size (${findMcu(config.mcu).pageSize} bytes)`, 'EUSAGE');
+  }
+  else if (typeof config.simulate !== 'undefined' && !(config.simulate >= 1 && config.simulate <= 255)) {
+    exitWithError('The number of simulated nodes must be from 1 to 255', 'EUSAGE');
+  }
+  else if (config.commandData && !isValidBytes(config.commandData)) {
+    exitWithError(`Invalid --command-data '${config.commandData}'. Use hex (i.e. 55aa) or a list of numbers from 0 to 255 (i.e. 0x55,0xAA).`, 'EUSAGE');
+  }
+  else if (typeof config.commandRepeat !== 'undefined' && !(config.commandRepeat >= 1)) {
+    exitWithError('The bootloader command must be sent at least once (--command-repeat)', 'EUSAGE');
+  }
+
+  // Scan the bus
+  else if (scan) {
+    let targets;
+    try {
+      targets = parseTargets();
+    } catch (err) {
+      exitWithError(err.message, 'EUSAGE');
+    }
+    openPort((port) => {
+      sendBootloadCommand(port, targets)
+      .then(() => scanBus(port, targets), err => exitWithError(err.message, err.code));
+    });
   }
 
   // Program
   else {
+    try {
+      config.groups = parseGroups();
+    } catch (err) {
+      exitWithError(err.message, 'EUSAGE');
+    }
+
+    // The nodes waiting in the bootloader hold the signal line, so with more than one group,
+    // each group needs to be sent the bootloader command when it's its turn
+    if (config.groups.length > 1 && isNaN(config.command) && (config.signal || 'dsr') !== 'none') {
+      exitWithError('Programming more than one group needs the bootloader command (-c), so each group enters the bootloader in turn.', 'EUSAGE');
+    }
     programDevices();
   }
 }
@@ -43,134 +219,934 @@ function main() {
  * Parse command line arguments
  */
 function parseArgs() {
-  const pkg = require('../../package.json');
+  config
+    .usage('[options] <file[@nodes] ...>\n         multibootloader [options] scan\n         multibootloader [options] config show\n         multibootloader decode <capture.jsonl>\n         multibootloader replay <capture.jsonl>')
+    .description('Send a file to all devices on a serial bus.\n  To program different files to groups of nodes, add the node addresses to each file: sensor.hex@1-8 motor.hex@9-12\n  Options can also be set in a .multibootloaderrc config file, or with MULTIBOOTLOADER_* environment variables.')
+    .version(pkg.version);
+
+  OPTIONS.forEach(([flags, description, parse]) => config.option(flags, description, parse));
 
   config
-    .usage('[options] <file ...>')
-    .description('Send a file to all devices on a serial bus.')
-    .version(pkg.version)
-    .option('-l, --list', 'List all serial devices')
-    .option('-b, --baud <number>', 'Baud rate to the serial device', parseInt)
-    .option('-c, --command <number>', 'The Disco Bus message command that puts the devices into the bootloader.')
-    .option('-d, --device <name>', 'The serial device to connect to')
-    .option('-s, --page-size <number>', 'The programming page size for your device.', parseInt)
-    .option('-p, --prog-version <maj.min>', 'The major.minor version of your program (for example 1.5)')
-    .option('-t, --timeout <number>', 'How long to wait for devices to be ready for programming')
-    .option('<file ...>', 'The file to program to your devices')
+    .option('<file[@nodes] ...>', 'The file to program to your devices (use - to read from stdin), optionally followed by @ and the node addresses to program it to')
     .parse(process.argv);
 }
 
 
+/**
+ * Fill in the options that weren't set on the command line from the environment variables,
+ * the config file profile, the config file, and then the defaults.
+ *
+ * @returns {Object} The resolved option `values`, the `source` of each, the `profile` and the config `file`
+ */
+function loadConfig() {
+  const definitions = OPTIONS
+    .map(([flags, , parse]) => ({
+      name: optionName(flags),
+      flag: flags.indexOf('<') === -1,
+      negate: flags.indexOf('--no-') > -1,
+      parse,
+    }))
+    .filter(def => CLI_ONLY_OPTIONS.indexOf(def.name) === -1);
+
+  // (some commander methods share a name with an option, like `command`,
+  // and `--no-*` flags are always set, to true unless they're on the command line)
+  const cli = {};
+  definitions.forEach((def) => {
+    if ((def.negate) ? config[def.name] === false : Object.prototype.hasOwnProperty.call(config, def.name)) {
+      cli[def.name] = config[def.name];
+    }
+  });
+
+  const file = config.configFile || process.env[envName('configFile')] || findConfigFile();
+  const resolved = resolveOptions(definitions, {
+    cli,
+    env: envOptions(definitions.map(def => def.name)),
+    config: (file) ? readConfigFile(file) : null,
+    profile: config.profile || process.env[envName('profile')],
+    defaults: DEFAULTS,
+  });
+
+  // A raw TCP bridge can't read the modem lines, so it has no signal line unless one is set
+  if (resolved.source.signal === 'default' && transportScheme(resolved.values.device) === 'tcp') {
+    resolved.values.signal = 'none';
+  }
+
+  Object.assign(config, resolved.values);
+  return Object.assign(resolved, { file, definitions });
+}
+
+
+/**
+ * Get the option name from its flags (i.e. `-s, --page-size <number>` is `pageSize`, and `--no-progress` is `progress`).
+ * @param  {String} flags - The option flags
+ * @return {String}
+ */
+function optionName(flags) {
+  const long = flags.match(/--(?:no-)?([\w-]+)/)[1];
+  return long.replace(/-(\w)/g, (match, c) => c.toUpperCase());
+}
+
+
+/**
+ * Print the config file, profile and each option value with where it came from, and exit.
+ */
+function showConfig() {
+  console.log(`Config file: ${settings.file || 'none'}`);
+  console.log(`Profile:     ${settings.profile || 'none'}\n`);
+  printTable(
+    ['Option', 'Value', 'Source', 'Environment variable'],
+    settings.definitions.map(def => [
+      def.name,
+      (def.name in settings.values) ? settings.values[def.name] : '-',
+      settings.source[def.name] || '',
+      envName(def.name),
+    ])
+  );
+  process.exit();
+}
+
+
 /**
  * Kick off the programmer
  */
 function programDevices() {
+  openPort(port => runBootloader(port));
+}
 
-  // Connect to port
-  const port = new SerialPort(config.device, {
-    baudRate: config.baud,
-  }, (portErr) => {
+
+/**
+ * Open the serial port (or the simulated bus).
+ * @param  {Function} next - Called with the open port
+ */
+function openPort(next) {
+  const ready = openedPort => next(recordPort(openedPort));
+
+  // Simulated nodes, which start in their application if there's a bootloader command
+  if (config.simulate) {
+    const port = new SimulatedSerialPort({
+      nodes: config.simulate,
+      mcu: config.mcu,
+      pageSize: config.pageSize,
+      command: (!isNaN(config.command)) ? Number(config.command) : undefined,
+      commandData: parseBytes(config.commandData || ''),
+      baudRate: config.baud,
+    });
+    logStatus(`Simulating ${config.simulate} nodes`);
+    ready(port);
+    return;
+  }
+
+  const onOpen = (portErr) => {
     if (portErr) {
-      console.error('Error:', portErr);
-      process.exit();
+      exitWithError(`Could not open ${config.device} (${portErr.message || portErr})`, 'EPORTOPEN');
     }
+    ready(port);
+  };
+
+  // Connect to a network bridge (tcp:// or rfc2217://), or a local port
+  let port;
+  try {
+    port = createTransport(config.device, { baudRate: config.baud }, onOpen)
+      || new SerialPort(config.device, { baudRate: config.baud }, onOpen);
+  } catch (err) {
+    exitWithError(err.message, 'EPORTOPEN');
+  }
+}
+
+
+/**
+ * With --record, start the capture file and record everything sent through the port.
+ * @param  {SerialPort} port - The open serial port
+ * @return {SerialPort} The port to use
+ */
+function recordPort(port) {
+  if (!config.record) {
+    return port;
+  }
+
+  // Write each entry right away, so the capture is complete even if the process exits
+  let fd;
+  try {
+    fd = fs.openSync(config.record, 'w');
+  } catch (err) {
+    exitWithError(`Could not create the capture file (${err.message})`);
+  }
+  recorder = new Recorder({ write: line => fs.writeSync(fd, line) });
+  return recorder.wrap(port);
+}
+
 
-    if (!isNaN(config.command)) {
-      sendBootloadCommand(port);
+/**
+ * Read a capture file.
+ * @param  {String} file - The capture file path
+ * @return {Array} The capture entries
+ */
+function readCaptureFile(file) {
+  try {
+    return parseCapture(fs.readFileSync(file));
+  } catch (err) {
+    console.error(`Error: Could not read the capture ${file} (${err.message})`);
+    return process.exit(1);
+  }
+}
+
+
+/**
+ * Print a capture file as protocol messages, and exit.
+ * @param  {String} file - The capture file path
+ */
+function decodeFile(file) {
+  decodeCapture(readCaptureFile(file)).forEach(line => console.log(line));
+  process.exit();
+}
+
+
+/**
+ * Replay each programming session in a capture file, and exit.
+ * Exits with 1 if a session doesn't make the same decisions as it did when it was recorded.
+ * @param  {String} file - The capture file path
+ */
+function replayFile(file) {
+  const entries = readCaptureFile(file);
+  const sessions = captureSessions(entries).length;
+  let differs = false;
+
+  if (!sessions) {
+    console.error(`Error: There are no programming sessions in ${file}`);
+    process.exit(1);
+  }
+
+  const replayNext = (session) => {
+    if (session >= sessions) {
+      process.exit((differs) ? 1 : 0);
+      return;
+    }
+
+    MultiBootloader.replay(entries, { session })
+    .then((result) => {
+      const outcome = (result.error) ? `failed (${result.error.message})` : 'complete';
+      console.log(`Session ${session + 1} of ${sessions}: programming ${outcome}`);
+
+      if (result.matches) {
+        console.log('  The replay made the same decisions as the capture.');
+      } else {
+        differs = true;
+        if (result.mismatch > -1) {
+          console.log(`  Decision ${result.mismatch + 1} is different:`);
+          console.log(`    capture: ${JSON.stringify(result.expected[result.mismatch] || null)}`);
+          console.log(`    replay:  ${JSON.stringify(result.decisions[result.mismatch] || null)}`);
+        }
+        if (result.divergence) {
+          const div = result.divergence;
+          console.log(`  Byte ${div.offset} written to the bus is different (capture: ${div.expected}, replay: ${div.actual})`);
+        }
+      }
+      replayNext(session + 1);
+    })
+    .catch((err) => {
+      console.error(`Error: Could not replay session ${session + 1} (${err.message || err})`);
+      process.exit(1);
+    });
+  };
+
+  replayNext(0);
+}
+
+
+/**
+ * Send the bootloader entry command to the bus, which will put the devices in their
+ * bootloader programming mode, and wait for the signal line to show they're ready.
+ * Without a bootloader command, the devices are expected to be in the bootloader already.
+ * @param  {SerialPort} port - The serial port to the bus
+ * @param  {Array} targets - The node addresses to send the command to (null for all)
+ * @return {Promise} Resolves once the devices are in the bootloader
+ */
+function sendBootloadCommand(port, targets) {
+  if (isNaN(config.command)) {
+    return Promise.resolve();
+  }
+
+  const cmd = Number(config.command);
+  const repeat = (config.commandRepeat > 1) ? ` (${config.commandRepeat} times)` : '';
+
+  if (targets) {
+    logStatus(`Sending bootloading command 0x${cmd.toString(16).toUpperCase()} to nodes ${formatNodeList(targets)}${repeat}`);
+  } else {
+    logStatus(`Sending bootloading command 0x${cmd.toString(16).toUpperCase()}${repeat}`);
+  }
+
+  return MultiBootloader.enterBootloader(port, {
+    command: cmd,
+    data: parseBytes(config.commandData || ''),
+    repeat: config.commandRepeat,
+    interval: config.commandInterval,
+    nodes: targets,
+    readyTimeout: config.entryTimeout,
+    signal: config.signal,
+    signalInvert: !!config.signalInvert,
+  })
+  .then(() => null, (err) => {
+    const message = `The nodes did not enter the bootloader (${(err && err.message) || err})`;
+    throw new MultiBootloader.BootloaderError(message, { code: err && err.code, cause: err });
+  });
+}
+
+
+/**
+ * Get a group's nodes ready to program: put them into the bootloader, and detect the MCU type
+ * from them if it isn't known yet.
+ * Each group enters the bootloader on its own, because the nodes waiting in the bootloader hold
+ * the signal line, which would keep it enabled while the other groups are programmed.
+ * @param  {SerialPort} port - The serial port to the bus
+ * @param  {Object} group - The file and node addresses to program
+ * @return {Promise}
+ */
+function enterGroup(port, group) {
+  return sendBootloadCommand(port, group.targets)
+  .then(() => {
+    if (config.pageSize || config.mcu) {
+      return null;
+    }
+
+    // Detect the MCU from the nodes
+    logStatus('Detecting MCU type');
+    return MultiBootloader.detectMcu(port, { nodes: group.targets })
+    .then((mcu) => {
+      logStatus(`Detected ${mcu.name} (${mcu.pageSize} byte pages)`, { mcu: mcu.name, pageSize: mcu.pageSize });
+      config.mcu = mcu.name;
+    }, (err) => {
+      throw new MultiBootloader.DiscoveryError(`Could not detect the MCU type (${(err && err.message) || err})`, { cause: err });
+    });
+  });
+}
+
+
+/**
+ * Find all the devices on the bus, print them, and exit.
+ * @param  {SerialPort} port - The serial port to the bus.
+ * @param  {Array} targets - Only query these node addresses (null to address the whole bus).
+ */
+function scanBus(port, targets) {
+  if (!config.json) {
+    console.log('Scanning bus');
+  }
+
+  MultiBootloader.discover(port, { nodes: targets })
+  .then((nodes) => {
+    if (config.json) {
+      console.log(JSON.stringify(nodes, null, 2));
+    }
+    else if (!nodes.length) {
+      console.log('No nodes responded.');
     }
     else {
-      runBootloader(port);
+      printTable(
+        ['Address', 'Bootloader', 'Application', 'Signature', 'MCU', 'Page size'],
+        nodes.map((node) => {
+          const mcu = findMcuBySignature(node.signature);
+          return [
+            node.address,
+            `${node.bootloaderVersion.major}.${node.bootloaderVersion.minor}`,
+            `${node.appVersion.major}.${node.appVersion.minor}`,
+            formatSignature(node.signature),
+            (mcu) ? mcu.name : 'unknown',
+            node.pageSize,
+          ];
+        })
+      );
     }
+
+    port.close(() => process.exit());
+  })
+  .catch((err) => {
+    exitWithError(`Could not scan the bus (${(err && err.message) || err})`, 'EDISCOVERY');
   });
 }
 
 
 /**
- * Send the single-byte command to the bus, which will put all the devices in their
- * bootloader programming mode.
- * @param  {SerialPort} port - The serial port to the bus
+ * Print rows of values as a table, with a header row.
+ * @param  {Array} header - The column titles
+ * @param  {Array} rows - The rows of values
  */
-function sendBootloadCommand(port) {
-  const cmd = Number(config.command);
-  const disco = new DiscoBusMaster();
+function printTable(header, rows) {
+  const widths = header.map((title, col) => Math.max.apply(null, [title].concat(rows.map(row => `${row[col]}`)).map(v => v.length)));
+  const line = row => row.map((value, col) => {
+    const str = `${value}`;
+    return str + ' '.repeat(widths[col] - str.length);
+  }).join('  ');
 
-  console.log(`Sending bootloading command 0x${cmd.toString(16).toUpperCase()}`);
+  console.log(line(header));
+  console.log(line(widths.map(width => '-'.repeat(width))));
+  rows.forEach(row => console.log(line(row)));
+}
 
-  disco.connectWith(port);
-  disco.startMessage(cmd, 0)
-    .endMessage()
-    .subscribe(null, null,
-      () => setTimeout(() => runBootloader(port), 1000)
-    );
+
+/**
+ * Print the state of each simulated node after programming.
+ * @param  {SimulatedSerialPort} port - The simulated bus
+ */
+function printSimulation(port) {
+  console.log('\nSimulated nodes:');
+  printTable(
+    ['Address', 'State', 'Application', 'Pages written', 'Errors'],
+    port.nodes.map(node => [
+      node.address,
+      node.state,
+      `${node.appVersion.major}.${node.appVersion.minor}`,
+      node.pagesWritten,
+      node.errors,
+    ])
+  );
 }
 
 
 /**
- * Send the program to all the devices on the bus.
+ * Program each file to its group of nodes, one after the other, and then exit.
  * @param  {SerialPort} port - The serial port to the bus.
  */
 function runBootloader(port) {
-  let linesAfterProgress = 0;
+  const groups = config.groups;
+  const results = [];
+
+  const programNext = () => {
+    if (results.length >= groups.length) {
+      finish();
+      return;
+    }
+
+    const group = groups[results.length];
+    enterGroup(port, group)
+    .then(() => programGroup(port, group, groups.length > 1), (err) => {
+      if (config.json) {
+        writeEvent('error', { file: group.file, message: err.message, code: err.code || null, fatal: true });
+      } else {
+        console.log(`FATAL ERROR: ${err.message}`);
+      }
+      return { err };
+    })
+    .then((result) => {
+      results.push(Object.assign({ group }, result));
+
+      // Don't program the other groups after Ctrl-C
+      if (result.err instanceof MultiBootloader.AbortError) {
+        finish();
+        return;
+      }
+      programNext();
+    });
+  };
+
+  // Show results and exit with the code of the first error
+  const finish = () => {
+    const failed = results.find(result => result.err);
+    const code = (failed) ? exitCode(failed.err) : 0;
+
+    // (the simulated bus may be wrapped by the recorder)
+    const bus = port.serial || port;
+    const simulated = bus instanceof SimulatedSerialPort;
+
+    if (config.json) {
+      writeEvent('summary', {
+        ok: !failed,
+        exitCode: code,
+        groups: groups.map((group, i) => groupSummary(group, results[i])),
+        simulatedNodes: (simulated) ? bus.nodes.map(node => ({
+          address: node.address,
+          state: node.state,
+          appVersion: node.appVersion,
+          pagesWritten: node.pagesWritten,
+          errors: node.errors,
+        })) : undefined,
+      });
+    } else {
+      if (groups.length > 1) {
+        console.log('\nResults:');
+        groups.forEach((group, i) => {
+          const result = results[i];
+          let status = 'complete';
+          if (!result) {
+            status = 'not programmed';
+          } else if (result.err) {
+            status = `FAILED (${result.err})`;
+          }
+          console.log(`  ${groupName(group)}: ${status}`);
+        });
+      }
+      if (simulated) {
+        printSimulation(bus);
+      }
+    }
+
+    port.close((err) => {
+      if (err && !config.json) console.log('Error closeing connection', err);
+      process.exit(code);
+    });
+  };
+
+  programNext();
+}
+
+
+/**
+ * Get the result of programming a group, for the `--json` summary.
+ * @param  {Object} group - The file and node addresses
+ * @param  {Object} result - The programming result, or undefined if the group wasn't programmed
+ * @return {Object}
+ */
+function groupSummary(group, result) {
+  const summary = {
+    file: group.file,
+    nodes: group.targets,
+    status: 'not programmed',
+  };
+  if (result && result.err) {
+    Object.assign(summary, {
+      status: 'failed',
+      error: result.err.message || `${result.err}`,
+      code: result.err.code || null,
+      exitCode: exitCode(result.err),
+    });
+  } else if (result) {
+    Object.assign(summary, {
+      status: 'complete',
+      skippedNodes: result.skippedNodes,
+      report: result.report,
+    });
+  }
+  return summary;
+}
+
+
+/**
+ * Send a program to a group of devices on the bus.
+ * @param  {SerialPort} port - The serial port to the bus.
+ * @param  {Object} group - The file and node addresses to program
+ * @param  {boolean} showGroup - Include the group name in the output
+ *
+ * @return {Promise} Resolves with the error (`err`) if programming failed, and the `skippedNodes` and `report`.
+ */
+function programGroup(port, group, showGroup) {
   const timeout = Number(config.timeout || DEFAULT_TIMEOUT);
   const version = parseProgVersion();
-  console.log('Running bootloader');
+  logStatus((showGroup) ? `Running bootloader: ${groupName(group)}` : 'Running bootloader', { file: group.file });
+
+  let output;
+  if (config.json) {
+    output = jsonOutput(group);
+  } else if (config.progress) {
+    output = progressBarOutput();
+  } else {
+    output = textOutput();
+  }
+
+  // Setup bootloader
+  const bootloader = new MultiBootloader(port, Object.assign({
+    version,
+    pageSize: config.pageSize,
+    mcu: config.mcu,
+    signalTimeout: timeout,
+    skipBlankPages: !!config.skipBlankPages,
+    protocolVersion: config.protocol || 1,
+    crc: !!config.crc,
+    verify: !!config.verify,
+    verifyRetries: config.verifyRetries,
+    targets: group.targets,
+    onlyIfNewer: !!version && !config.force,
+    signal: config.signal || 'dsr',
+    signalInvert: !!config.signalInvert,
+    retryStrategy: config.retryStrategy || 'selective',
+    maxPageRetries: config.maxPageRetries,
+    baudRate: config.baud,
+    recorder,
+  }, parsePacing()));
+
+  // Events
+  bootloader.on('progress', status => output.progress(status));
+  bootloader.on('status', status => output.status(status.message));
+  bootloader.on('error', loaderErr => output.error(loaderErr.message, loaderErr.error));
+  bootloader.on('verify', (result) => {
+    const lists = [['passed', result.passed], ['failed', result.failed]]
+      .filter(list => list[1].length)
+      .map(list => `nodes ${formatNodeList(list[1])} ${list[0]}`);
+    output.log(`Verification: ${lists.join(', ')}`);
+  });
+
+  // Ctrl-C aborts programming, so the nodes leave the bootloader page loop.
+  // Pressing it again exits right away.
+  const forceExit = () => process.exit(EXIT_CODES.EABORTED);
+  const onInterrupt = () => {
+    process.removeListener('SIGINT', onInterrupt);
+    process.once('SIGINT', forceExit);
+    output.log('Aborting...');
+    bootloader.abort('Interrupted');
+  };
+  process.on('SIGINT', onInterrupt);
+  const removeInterrupt = () => {
+    process.removeListener('SIGINT', onInterrupt);
+    process.removeListener('SIGINT', forceExit);
+  };
+
+  // Program (`-` reads the program from stdin)
+  const options = { format: config.format };
+  const files = (config.eeprom) ? { flash: group.file, eeprom: config.eeprom } : group.file;
+  const programming = (group.file === '-')
+    ? bootloader.programStream(process.stdin, options)
+    : bootloader.program(files, options);
+
+  return programming
+  .then(() => {
+    removeInterrupt();
+    output.complete();
+    if (bootloader.skippedNodes.length) {
+      output.log(`Skipped nodes ${formatNodeList(bootloader.skippedNodes)} (already up to date)`);
+    }
+    if (bootloader.report) {
+      const report = bootloader.report;
+      const eeprom = (report.eeprom) ? ` (${report.eeprom.bytes} of EEPROM)` : '';
+      output.log(`Sent ${report.bytes} bytes${eeprom} in ${(report.duration / 1000).toFixed(1)}s (${report.bytesPerSecond} bytes/s, ${report.timeBetweenPages}ms between pages)`);
+    }
+    output.log('Programming complete!');
+    return {
+      err: null,
+      skippedNodes: bootloader.skippedNodes,
+      report: bootloader.report,
+    };
+  })
+  .catch((err) => {
+    removeInterrupt();
+    output.fatal(err);
+    return { err };
+  });
+}
+
+
+/**
+ * The programming output for a terminal: a progress bar, with the latest status message above it.
+ * @return {Object} The output handlers
+ */
+function progressBarOutput() {
+  let linesAfterProgress = 0;
 
-  // Progress bar
   terminal.previousLine(1);
   terminal.eraseLine();
   const progress = terminal.progressBar({
     title: 'Sending',
+    titleSize: PROGRESS_TITLE_SIZE,
     percent: true,
   });
   terminal.nextLine(2);
   linesAfterProgress = 1;
 
-  // Setup bootloader
-  const bootloader = new MultiBootloader(port, {
-    version,
-    pageSize: config.pageSize,
-    signalTimeout: timeout,
-  });
+  const log = (message) => {
+    linesAfterProgress++;
+    console.log(message);
+  };
 
-  // Events
-  bootloader.on('status', (status) => {
-    let percentDone = 0;
-    if (status.currentPage > 0 && status.pages > 0) {
-      percentDone = status.currentPage / status.pages;
+  return {
+    progress(status) {
+      const sendTitle = (status.pass > 1) ? 'Resending' : 'Sending';
+      progress.update({
+        progress: status.percent,
+        title: `${sendTitle} ${formatSpeed(status.averageBytesPerSecond)} ETA ${formatDuration(status.eta)}`,
+      });
+    },
+    status(message) {
+      terminal.saveCursor();
+      terminal.previousLine(linesAfterProgress - 1);
+      terminal.eraseLine();
+      console.log(message);
+      terminal.restoreCursor();
+    },
+    error: message => log(`ERROR: ${message}`),
+    fatal: err => console.log(`FATAL ERROR: ${err}`),
+    complete: () => progress.update(1),
+    log,
+  };
+}
+
+
+/**
+ * The programming output for logs (`--no-progress`): a line for each status message,
+ * and the progress every 10%.
+ * @return {Object} The output handlers
+ */
+function textOutput() {
+  let shown = -1;
+
+  return {
+    progress(status) {
+      const tenth = Math.floor(status.percent * 10);
+      if (tenth > shown) {
+        shown = tenth;
+        const sendTitle = (status.pass > 1) ? 'Resending' : 'Sending';
+        console.log(`${sendTitle}: ${tenth * 10}% (${formatSpeed(status.averageBytesPerSecond)}, ETA ${formatDuration(status.eta)})`);
+      }
+    },
+    status(message) {
+      // (the progress lines show how far along the pages are)
+      if (!/^Sending page /.test(message)) {
+        console.log(message);
+      }
+    },
+    error: message => console.log(`ERROR: ${message}`),
+    fatal: err => console.log(`FATAL ERROR: ${err}`),
+    complete() {},
+    log: message => console.log(message),
+  };
+}
+
+
+/**
+ * The programming output for `--json`: a line of JSON for each event.
+ * @param  {Object} group - The file and node addresses being programmed
+ * @return {Object} The output handlers
+ */
+function jsonOutput(group) {
+  const file = group.file;
+
+  return {
+    progress: status => writeEvent('progress', Object.assign({ file }, status)),
+    status: message => writeEvent('status', { file, message }),
+    error: (message, err) => writeEvent('error', { file, message, code: (err && err.code) || null }),
+    fatal: err => writeEvent('error', {
+      file,
+      message: (err && err.message) || `${err}`,
+      code: (err && err.code) || null,
+      fatal: true,
+    }),
+    complete() {},
+    log: message => writeEvent('status', { file, message }),
+  };
+}
+
+
+/**
+ * Write an event to stdout as a line of JSON (for `--json`).
+ * @param  {String} event - The event type: status, progress, error or summary
+ * @param  {Object} fields - The event fields
+ */
+function writeEvent(event, fields) {
+  process.stdout.write(`${JSON.stringify(Object.assign({ event }, fields))}\n`);
+}
+
+
+/**
+ * Show a status message: a line of text, or a `status` event with --json.
+ * @param  {String} message - The message
+ * @param  {Object} fields - (optional) More event fields for --json
+ */
+function logStatus(message, fields) {
+  if (config.json) {
+    writeEvent('status', Object.assign({}, fields, { message }));
+  } else {
+    console.log(message);
+  }
+}
+
+
+/**
+ * Print an error and exit. With --json, an `error` event is written to stdout too.
+ * @param  {String} message - The error message
+ * @param  {String} code - (optional) The error code, which sets the exit code (see EXIT_CODES)
+ */
+function exitWithError(message, code) {
+  if (config.json) {
+    writeEvent('error', { message, code: code || null, fatal: true });
+  }
+  console.error(`Error: ${message}`);
+  process.exit(exitCode({ code }));
+}
+
+
+/**
+ * Exit when the command line is incomplete: show the usage (or an `error` event with --json),
+ * and what is missing on stderr.
+ * @param  {String} message - What is missing from the command line
+ */
+function exitWithUsage(message) {
+  if (config.json) {
+    writeEvent('error', { message, code: 'EUSAGE', fatal: true });
+  } else {
+    config.outputHelp();
+  }
+  console.error(`Error: ${message}`);
+  process.exit(EXIT_CODES.EUSAGE);
+}
+
+
+/**
+ * Parse the files and their node groups from the command line.
+ * Each file can be followed by `@` and the node addresses to program it to (for example `sensor.hex@1-8`).
+ * Files without node addresses use `--nodes`, or are sent to all nodes.
+ *
+ * @returns {Array} A list of objects with the `file` and `targets` (null for all nodes).
+ */
+function parseGroups() {
+  const defaultTargets = parseTargets();
+  const used = {};
+
+  const groups = config.args.map((arg) => {
+    const at = arg.lastIndexOf('@');
+    if (at < 1 || !/^[\w\s,-]+$/.test(arg.substr(at + 1))) {
+      return { file: arg, targets: defaultTargets };
     }
+    return {
+      file: arg.substr(0, at),
+      targets: parseNodeList(arg.substr(at + 1)),
+    };
+  });
 
-    const sendTitle = (status.retries === 0) ? 'Sending' : 'Resending';
-    progress.update({
-      progress: percentDone,
-      title: sendTitle,
+  if (groups.length > 1) {
+    groups.forEach((group) => {
+      if (!group.targets) {
+        throw new Error(`No node addresses for ${group.file}. When programming more than one file, each needs its nodes (i.e. file.hex@1-8).`);
+      }
+      group.targets.forEach((addr) => {
+        if (used[addr]) {
+          throw new Error(`Node ${addr} is in more than one group (${used[addr]} and ${group.file}).`);
+        }
+        used[addr] = group.file;
+      });
     });
+  }
+  if (groups.filter(group => group.file === '-').length > 1) {
+    throw new Error('Only one program can be read from stdin.');
+  }
+  if (config.eeprom && groups.some(group => group.file === '-')) {
+    throw new Error('An EEPROM file cannot be programmed with a program read from stdin.');
+  }
 
-    terminal.saveCursor();
-    terminal.previousLine(linesAfterProgress - 1);
-    terminal.eraseLine();
-    console.log(status.message);
-    terminal.restoreCursor();
-  });
-  bootloader.on('error', (loaderErr) => {
-    linesAfterProgress++;
-    console.log(`ERROR: ${loaderErr.message}`);
-  });
+  return groups;
+}
 
-  // Program
-  bootloader.program(config.args[0])
-  .then(() => {
-    progress.update(1);
 
-    console.log('Programming complete!');
-    port.close((err) => {
-      if (err) console.log('Error closeing connection', err);
-      process.exit();
-    });
-  })
-  .catch((err) => {
-    console.log(`FATAL ERROR: ${err}`);
-    process.exit();
-  });
+/**
+ * Get the display name of a group (i.e. "sensor.hex (nodes 1-8)").
+ *
+ * @param {Object} group The file and nodes
+ *
+ * @returns {String}
+ */
+function groupName(group) {
+  const file = (group.file === '-') ? 'stdin' : group.file;
+  if (!group.targets) {
+    return file;
+  }
+  return `${file} (nodes ${formatNodeList(group.targets)})`;
+}
+
+
+/**
+ * Format a programming speed (i.e. "1.5 KB/s").
+ *
+ * @param {int} bytesPerSecond
+ *
+ * @returns {String}
+ */
+function formatSpeed(bytesPerSecond) {
+  if (bytesPerSecond >= 1024) {
+    return `${(bytesPerSecond / 1024).toFixed(1)} KB/s`;
+  }
+  return `${bytesPerSecond} B/s`;
+}
+
+
+/**
+ * Format a time remaining as minutes and seconds (i.e. "1:05").
+ *
+ * @param {int} ms Milliseconds, or null if it's not known
+ *
+ * @returns {String}
+ */
+function formatDuration(ms) {
+  if (ms === null || typeof ms === 'undefined') {
+    return '-:--';
+  }
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${(`0${seconds % 60}`).substr(-2)}`;
+}
+
+
+/**
+ * Get the process exit code for a programming error.
+ *
+ * @param {Error} err The error programming failed with
+ *
+ * @returns {int}
+ */
+function exitCode(err) {
+  return (err && EXIT_CODES[err.code]) || 1;
+}
+
+
+/**
+ * Check that the signal line name is one that can be used.
+ *
+ * @param {String} signal The signal line name
+ *
+ * @returns {boolean}
+ */
+function isValidSignal(signal) {
+  try {
+    createSignal(null, signal);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+
+/**
+ * Check that the bootloader command data can be parsed.
+ *
+ * @param {String} bytes The bytes, as passed to --command-data
+ *
+ * @returns {boolean}
+ */
+function isValidBytes(bytes) {
+  try {
+    parseBytes(bytes);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+
+/**
+ * Parse the node addresses passed in via the command line.
+ *
+ * @returns {Array} A list of node addresses, or null to program all nodes.
+ */
+function parseTargets() {
+  if (typeof config.nodes === 'undefined') {
+    return null;
+  }
+  return parseNodeList(config.nodes);
+}
+
+
+/**
+ * Parse the page pacing passed in via the command line: either `adaptive`,
+ * or a number of milliseconds to pause between pages.
+ *
+ * @returns {Object} The `pacing` and `timeBetweenPages` bootloader options, or null if it's not valid.
+ */
+function parsePacing() {
+  if (typeof config.pacing === 'undefined' || config.pacing === 'fixed') {
+    return {};
+  }
+  if (config.pacing === 'adaptive') {
+    return { pacing: 'adaptive' };
+  }
+  if (/^\d+$/.test(config.pacing)) {
+    return {
+      pacing: 'fixed',
+      timeBetweenPages: parseInt(config.pacing, 10),
+    };
+  }
+  return null;
 }
 
 
@@ -0,0 +1,227 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as yaml from 'js-yaml';
+
+/**
+ * The name of the config file, looked for in the project directory and the home directory.
+ * @type {String}
+ */
+export const CONFIG_FILE = '.multibootloaderrc';
+
+/**
+ * The prefix of the environment variables that set options (i.e. MULTIBOOTLOADER_PAGE_SIZE).
+ * @type {String}
+ */
+export const ENV_PREFIX = 'MULTIBOOTLOADER_';
+
+/**
+ * Find the config file. The current directory and each of its parents is searched first,
+ * and then the home directory.
+ *
+ * @param {String} cwd (optional) The directory to start from
+ * @param {String} home (optional) The home directory
+ *
+ * @returns {String} The config file path, or null if there isn't one.
+ */
+export function findConfigFile(cwd = process.cwd(), home = os.homedir()) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const file = path.join(dir, CONFIG_FILE);
+    if (fs.existsSync(file)) {
+      return file;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      break;
+    }
+    dir = parent;
+  }
+
+  const file = path.join(home, CONFIG_FILE);
+  return (fs.existsSync(file)) ? file : null;
+}
+
+/**
+ * Read a config file, in JSON or YAML.
+ *
+ * The file has the option values shared by every profile at the top level, and the named
+ * profiles under `profiles`. A top level `profile` chooses the profile to use by default.
+ * Options are named like the CLI flags, in either form (`page-size` or `pageSize`):
+ *
+ *    baud: 115200
+ *    profile: bench-a
+ *    profiles:
+ *      bench-a:
+ *        device: /dev/ttyUSB0
+ *        page-size: 128
+ *
+ * @param {String} file The config file path
+ *
+ * @returns {Object} The config, with `options`, `profiles` and `profile`
+ */
+export function readConfigFile(file) {
+  let data;
+  try {
+    const content = fs.readFileSync(file).toString();
+    data = (/^\s*\{/.test(content)) ? JSON.parse(content) : yaml.safeLoad(content);
+  } catch (e) {
+    throw new Error(`Could not read the config file ${file} (${e.message})`);
+  }
+
+  if (data === null || typeof data === 'undefined') {
+    data = {};
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`The config file ${file} must contain an object of options`);
+  }
+
+  const profiles = data.profiles || {};
+  if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new Error(`The profiles in the config file ${file} must be an object, keyed by profile name`);
+  }
+
+  const shared = Object.assign({}, data);
+  delete shared.profiles;
+  delete shared.profile;
+
+  const config = {
+    file,
+    options: camelCaseKeys(shared),
+    profile: data.profile || null,
+    profiles: {},
+  };
+  Object.keys(profiles).forEach((name) => {
+    config.profiles[name] = camelCaseKeys(profiles[name] || {});
+  });
+  return config;
+}
+
+/**
+ * Get the option values set with environment variables.
+ * Each option has a variable with the prefix, and its name in upper snake case (i.e. MULTIBOOTLOADER_PAGE_SIZE).
+ *
+ * @param {Array} names The option names (camel case)
+ * @param {Object} env (optional) The environment variables
+ *
+ * @returns {Object} The option values, as strings
+ */
+export function envOptions(names, env = process.env) {
+  const options = {};
+  names.forEach((name) => {
+    const variable = envName(name);
+    if (typeof env[variable] !== 'undefined' && env[variable] !== '') {
+      options[name] = env[variable];
+    }
+  });
+  return options;
+}
+
+/**
+ * Get the environment variable name of an option.
+ *
+ * @param {String} name The option name (camel case)
+ *
+ * @returns {String}
+ */
+export function envName(name) {
+  return ENV_PREFIX + name.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+/**
+ * Resolve the option values from each source, highest priority first:
+ * the command line, environment variables, the profile, the config file's shared options and the defaults.
+ *
+ * Each option definition has its `name`, whether it's a boolean `flag`, and an optional `parse`
+ * function for values that come in as strings (like environment variables).
+ *
+ * Sources
+ * -------
+ *    - cli:      The values set on the command line
+ *    - env:      The values from environment variables (see `envOptions()`)
+ *    - config:   The config file (see `readConfigFile()`), or null
+ *    - profile:  The name of the profile to use, or null for the config file's default profile
+ *    - defaults: The default values
+ *
+ * @param {Array} definitions The option definitions
+ * @param {Object} sources
+ *
+ * @returns {Object} The option `values`, the `source` of each one, and the `profile` used
+ */
+export function resolveOptions(definitions, sources) {
+  const config = sources.config;
+  const profile = sources.profile || (config && config.profile) || null;
+
+  if (profile && (!config || !config.profiles[profile])) {
+    const available = (config) ? Object.keys(config.profiles) : [];
+    const where = (config) ? ` in ${config.file}` : ' (there is no config file)';
+    const list = (available.length) ? `. The profiles are: ${available.join(', ')}` : '';
+    throw new Error(`Unknown profile '${profile}'${where}${list}`);
+  }
+
+  const layers = [
+    ['cli', sources.cli || {}],
+    ['env', sources.env || {}],
+    [`profile ${profile}`, (profile) ? config.profiles[profile] : {}],
+    ['config file', (config) ? config.options : {}],
+    ['default', sources.defaults || {}],
+  ];
+
+  const known = definitions.map(def => def.name);
+  layers.slice(1, 4).forEach(([source, options]) => {
+    Object.keys(options).forEach((name) => {
+      if (known.indexOf(name) === -1) {
+        throw new Error(`Unknown option '${name}' (from the ${source})`);
+      }
+    });
+  });
+
+  const values = {};
+  const source = {};
+  definitions.forEach((def) => {
+    const layer = layers.find(([, options]) => typeof options[def.name] !== 'undefined');
+    if (layer) {
+      values[def.name] = optionValue(def, layer[1][def.name], layer[0]);
+      source[def.name] = layer[0];
+    }
+  });
+
+  return { values, source, profile };
+}
+
+/**
+ * Convert an option value from the config file or environment to the type the CLI expects.
+ */
+function optionValue(def, value, source) {
+  if (def.flag) {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const str = `${value}`.toLowerCase();
+    if (['1', 'true', 'yes', 'on'].indexOf(str) > -1) {
+      return true;
+    }
+    if (['0', 'false', 'no', 'off'].indexOf(str) > -1) {
+      return false;
+    }
+    throw new Error(`The ${def.name} option (from the ${source}) must be true or false`);
+  }
+  if (typeof value === 'string' && def.parse) {
+    return def.parse(value);
+  }
+  if (typeof value === 'number' && !def.parse) {
+    return `${value}`;
+  }
+  return value;
+}
+
+/**
+ * Convert the option names (i.e. `page-size`) to camel case (`pageSize`).
+ */
+function camelCaseKeys(options) {
+  const result = {};
+  Object.keys(options).forEach((key) => {
+    result[key.replace(/[-_](\w)/g, (match, c) => c.toUpperCase())] = options[key];
+  });
+  return result;
+}
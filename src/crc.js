@@ -0,0 +1,64 @@
+/* eslint no-bitwise: "off" */
+
+// CRC-32 (IEEE 802.3) lookup table
+const CRC32_TABLE = [];
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+  }
+  CRC32_TABLE.push(c >>> 0);
+}
+
+/**
+ * Calculate the CRC-16 of some data.
+ * This is the same CRC as `_crc16_update()` in avr-libc (polynomial 0xA001, reflected),
+ * starting from 0xFFFF.
+ *
+ * @param {Buffer|Array} data The data to calculate the CRC for
+ * @param {int} crc (optional) The CRC to continue from
+ *
+ * @returns {int} The 16-bit CRC
+ */
+export function crc16(data, crc = 0xFFFF) {
+  let result = crc;
+  for (let i = 0; i < data.length; i++) {
+    result ^= data[i];
+    for (let b = 0; b < 8; b++) {
+      result = (result & 1) ? ((result >>> 1) ^ 0xA001) : (result >>> 1);
+    }
+  }
+  return result & 0xFFFF;
+}
+
+/**
+ * Calculate the standard CRC-32 (as used by zlib and Ethernet) of some data.
+ *
+ * @param {Buffer|Array} data The data to calculate the CRC for
+ * @param {int} crc (optional) A previous CRC-32 result to continue from
+ *
+ * @returns {int} The 32-bit CRC
+ */
+export function crc32(data, crc = 0) {
+  let result = (crc ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    result = CRC32_TABLE[(result ^ data[i]) & 0xFF] ^ (result >>> 8);
+  }
+  return (result ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a number into an array of bytes, most significant byte first.
+ *
+ * @param {int} value The number to convert
+ * @param {int} size The number of bytes
+ *
+ * @returns {Array}
+ */
+export function toBytes(value, size) {
+  const bytes = [];
+  for (let i = size - 1; i >= 0; i--) {
+    bytes.push(Math.floor(value / Math.pow(256, i)) % 256);
+  }
+  return bytes;
+}
@@ -0,0 +1,146 @@
+import { parseNodeList } from './nodes';
+import { MSG_INFO, INFO_LENGTH } from './protocol';
+
+const RESPONSE_TIMEOUT = 200;
+
+/**
+ * Find the nodes on the bus and ask each of them for information about itself.
+ * The nodes need to be running the bootloader to respond.
+ *
+ * Options
+ * -------
+ *    - nodes:           The node addresses to query. If not set, the bus is addressed
+ *                       first with DiscoBus node addressing.
+ *    - responseTimeout: How long to wait for each node to respond, in milliseconds.
+ *
+ * Each node is reported as an object with:
+ *    - address:           The node's DiscoBus address
+ *    - bootloaderVersion: The bootloader's `{major, minor}` version
+ *    - appVersion:        The installed application's `{major, minor}` version (as sent in MSG_START)
+ *    - signature:         The 3 MCU signature bytes
+ *    - pageSize:          The flash page size, in bytes
+ *
+ * @param {DiscoBusMaster} disco A DiscoBus master connected to the bus
+ * @param {Object} options (optional)
+ *
+ * @returns {Promise} Resolves with the list of nodes that responded.
+ */
+export function discover(disco, options = {}) {
+  const timeout = options.responseTimeout || RESPONSE_TIMEOUT;
+  const getAddresses = (options.nodes)
+    ? Promise.resolve(parseNodeList(options.nodes))
+    : addressNodes(disco);
+
+  return getAddresses.then((addresses) => {
+    const nodes = [];
+    return addresses
+      .reduce(
+        (prev, address) => prev
+          .then(() => queryNode(disco, address, timeout))
+          .then((info) => {
+            if (info) {
+              nodes.push(info);
+            }
+          }),
+        Promise.resolve()
+      )
+      .then(() => nodes);
+  });
+}
+
+/**
+ * Parse a MSG_INFO response into a node info object.
+ *
+ * @param {int} address The node's address
+ * @param {Array|Buffer} data The response data
+ *
+ * @returns {Object}
+ */
+export function parseInfo(address, data) {
+  return {
+    address,
+    bootloaderVersion: {
+      major: data[0],
+      minor: data[1],
+    },
+    appVersion: {
+      major: data[2],
+      minor: data[3],
+    },
+    signature: [data[4], data[5], data[6]],
+    pageSize: (data[7] * 256) + data[8],
+  };
+}
+
+/**
+ * Run DiscoBus node addressing.
+ *
+ * @param {DiscoBusMaster} disco
+ *
+ * @returns {Promise} Resolves with the list of node addresses.
+ */
+function addressNodes(disco) {
+  return new Promise((resolve, reject) => {
+    const addresses = [];
+
+    disco.addressNodes()
+      .subscribe(
+        (address) => {
+          if (typeof address === 'number') {
+            addresses.push(address);
+          }
+        },
+        (err) => {
+          reject(`Could not address nodes: ${err}`);
+        },
+        () => {
+          // Fall back to the number of nodes that were addressed
+          if (!addresses.length) {
+            for (let i = 1; i <= disco.nodeNum; i++) {
+              addresses.push(i);
+            }
+          }
+          resolve(addresses);
+        }
+      );
+  });
+}
+
+/**
+ * Ask a single node for its info.
+ *
+ * @param {DiscoBusMaster} disco
+ * @param {int} address The node address
+ * @param {int} timeout Milliseconds to wait for a response
+ *
+ * @returns {Promise} Resolves with the node info, or null if the node did not respond.
+ */
+function queryNode(disco, address, timeout) {
+  return new Promise((resolve) => {
+    let done = false;
+    const finish = (info) => {
+      if (!done) {
+        done = true;
+        clearTimeout(timer);
+        resolve(info);
+      }
+    };
+    const timer = setTimeout(() => finish(null), timeout);
+
+    disco.startMessage(MSG_INFO, 0, {
+      destination: address,
+      responseMsg: true,
+      responseLength: INFO_LENGTH,
+    })
+      .endMessage()
+      .subscribe(
+        (response) => {
+          if (response && response.length >= INFO_LENGTH) {
+            finish(parseInfo(address, response));
+          }
+        },
+        () => finish(null),
+        () => finish(null)
+      );
+  });
+}
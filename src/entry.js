@@ -0,0 +1,145 @@
+import { parseNodeList } from './nodes';
+import { SignalTimeoutError, SerialWriteError } from './errors';
+
+const REPEAT = 1;
+const INTERVAL = 100;
+const READY_TIMEOUT = 5000;
+const READY_DELAY = 1000;
+const POLL_INTERVAL = 100;
+
+/**
+ * Put the nodes into the bootloader from their application, with the application's bootloader entry message.
+ * The message is sent `repeat` times, and then this waits until the signal line is enabled, which the nodes
+ * do while they wait in the bootloader.
+ *
+ * Options
+ * -------
+ *    - command:      (required) The DiscoBus message command that makes the application jump to the bootloader
+ *    - data:         The message data, for applications that need an unlock code (Array or Buffer)
+ *    - repeat:       How many times to send the message (default 1)
+ *    - interval:     The milliseconds between each time the message is sent (default 100)
+ *    - nodes:        Send the message to each of these node addresses (an array, or a range string
+ *                    like "3-10,14"), instead of broadcasting it
+ *    - readyTimeout: How long to wait for the signal line, in milliseconds (default 5000)
+ *    - readyDelay:   With no signal line, the milliseconds to wait instead (default 1000)
+ *
+ * @param {DiscoBusMaster} disco A DiscoBus master connected to the bus
+ * @param {Function} readSignal Returns a promise that resolves to true when the signal line is enabled,
+ *                              or null if there is no signal line
+ * @param {Object} options
+ *
+ * @returns {Promise} Resolves with the number of messages `sent` and the milliseconds `waited` for the nodes
+ */
+export function enterBootloader(disco, readSignal, options = {}) {
+  const command = options.command;
+  if (typeof command !== 'number' || command < 0 || command > 255 || command % 1) {
+    return Promise.reject(new Error(`The bootloader command must be a number from 0 to 255 (got ${command})`));
+  }
+
+  const data = Array.from(options.data || []);
+  const repeat = (typeof options.repeat === 'number') ? options.repeat : REPEAT;
+  const interval = (typeof options.interval === 'number') ? options.interval : INTERVAL;
+  const addresses = (options.nodes) ? parseNodeList(options.nodes) : [null];
+  if (repeat < 1) {
+    return Promise.reject(new Error('The bootloader command must be sent at least once'));
+  }
+
+  // Send the message to each address, `repeat` times
+  let sent = 0;
+  const sendAll = () => addresses.reduce(
+    (prev, address) => prev
+      .then(() => sendMessage(disco, command, data, address))
+      .then(() => {
+        sent++;
+      }),
+    Promise.resolve()
+  );
+  const sending = Array.from({ length: repeat - 1 }).reduce(
+    prev => prev.then(() => wait(interval)).then(sendAll),
+    sendAll()
+  );
+
+  let start;
+  return sending
+  .then(() => {
+    start = Date.now();
+    return waitUntilReady(readSignal, options);
+  })
+  .then(() => ({ sent, waited: Date.now() - start }));
+}
+
+/**
+ * Parse a list of bytes, as hex (`55aa` or `55 aa`) or comma separated numbers (`0x55,170`).
+ *
+ * @param {String} str The bytes
+ *
+ * @returns {Array}
+ */
+export function parseBytes(str) {
+  const text = `${str}`.trim();
+  if (!text.length) {
+    return [];
+  }
+
+  let bytes;
+  if (text.indexOf(',') > -1 || /^0x/i.test(text)) {
+    bytes = text.split(',').map(part => Number(part.trim()));
+  } else if (/^([0-9a-f]{2}\s*)+$/i.test(text)) {
+    bytes = text.replace(/\s/g, '').match(/../g).map(hex => parseInt(hex, 16));
+  } else {
+    bytes = [NaN];
+  }
+
+  if (bytes.some(b => isNaN(b) || b < 0 || b > 255 || b % 1)) {
+    throw new Error(`Invalid bytes '${str}'. Use hex (i.e. 55aa) or a list of numbers from 0 to 255 (i.e. 0x55,0xAA).`);
+  }
+  return bytes;
+}
+
+/**
+ * Send a single message on the bus.
+ */
+function sendMessage(disco, command, data, destination) {
+  return new Promise((resolve, reject) => {
+    const options = (destination) ? { destination } : {};
+    disco.startMessage(command, data.length, options);
+    if (data.length) {
+      disco.sendData(data);
+    }
+    disco.endMessage()
+      .subscribe(
+        (err) => {
+          reject(new SerialWriteError(`Error writing to serial device: ${err}`, { cause: err }));
+        },
+        null,
+        () => resolve()
+      );
+  });
+}
+
+/**
+ * Wait until the signal line is enabled, or `readyDelay` without a signal line.
+ */
+function waitUntilReady(readSignal, options) {
+  if (!readSignal) {
+    return wait((typeof options.readyDelay === 'number') ? options.readyDelay : READY_DELAY);
+  }
+
+  const timeout = (typeof options.readyTimeout === 'number') ? options.readyTimeout : READY_TIMEOUT;
+  const start = Date.now();
+  const check = () => readSignal()
+    .then((enabled) => {
+      if (enabled) {
+        return null;
+      }
+      if (Date.now() - start >= timeout) {
+        throw new SignalTimeoutError(`The nodes did not enter the bootloader within ${timeout}ms`);
+      }
+      return wait(POLL_INTERVAL).then(check);
+    });
+  return check();
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
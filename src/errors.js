@@ -0,0 +1,164 @@
+/**
+ * The base class of the errors that programming can fail with.
+ *
+ * Babel cannot extend built-in classes like `Error`, so this class links itself
+ * to the `Error` prototype below, and subclasses extend it like normal classes.
+ *
+ * Details
+ * -------
+ *    - code:    A short, machine readable error code (set by each error class)
+ *    - page:    The index of the page being sent when the error happened, or null
+ *    - retries: The number of programming retries made so far
+ *    - cause:   The underlying error, if there was one
+ *
+ * @class
+ */
+export class BootloaderError {
+
+  /**
+   * @param {String} message The error message
+   * @param {Object} details (optional) The error details
+   */
+  constructor(message, details = {}) {
+    this.name = this.constructor.name;
+    this.message = message;
+    this.code = details.code || 'EBOOTLOADER';
+    this.page = (typeof details.page === 'number' && details.page >= 0) ? details.page : null;
+    this.retries = details.retries || 0;
+    this.cause = details.cause;
+    this.stack = (new Error(message)).stack.replace(/^Error/, this.name);
+  }
+
+  toString() {
+    return this.message;
+  }
+}
+Object.setPrototypeOf(BootloaderError.prototype, Error.prototype);
+
+/**
+ * Programming was stopped with `abort()` or an `AbortSignal`.
+ *
+ * @class
+ */
+export class AbortError extends BootloaderError {
+
+  /**
+   * @param {String} reason Why programming was aborted
+   * @param {Object} details (optional) The error details
+   */
+  constructor(reason = 'Programming was aborted', details = {}) {
+    super(reason, Object.assign({}, details, { code: 'EABORTED' }));
+    this.reason = reason;
+  }
+}
+
+/**
+ * A programming session was started while another one is running on the same bootloader.
+ *
+ * @class
+ */
+export class SessionActiveError extends BootloaderError {
+  constructor(message, details = {}) {
+    super(message, Object.assign({}, details, { code: 'EBUSY' }));
+  }
+}
+
+/**
+ * The program file or stream could not be read.
+ *
+ * @class
+ */
+export class ImageReadError extends BootloaderError {
+  constructor(message, details = {}) {
+    super(message, Object.assign({}, details, { code: 'EIMAGEREAD' }));
+  }
+}
+
+/**
+ * The program could not be parsed in its file format.
+ *
+ * @class
+ */
+export class ImageParseError extends BootloaderError {
+  constructor(message, details = {}) {
+    super(message, Object.assign({}, details, { code: 'EIMAGEPARSE' }));
+  }
+}
+
+/**
+ * The program does not fit in the flash, or has more pages than the protocol can number.
+ *
+ * @class
+ */
+export class ImageSizeError extends BootloaderError {
+  constructor(message, details = {}) {
+    super(message, Object.assign({}, details, { code: 'EIMAGESIZE' }));
+  }
+}
+
+/**
+ * The nodes could not be asked for their info (see `discover()`).
+ *
+ * @class
+ */
+export class DiscoveryError extends BootloaderError {
+  constructor(message, details = {}) {
+    super(message, Object.assign({}, details, { code: 'EDISCOVERY' }));
+  }
+}
+
+/**
+ * The signal line did not change in time.
+ *
+ * @class
+ */
+export class SignalTimeoutError extends BootloaderError {
+  constructor(message, details = {}) {
+    super(message, Object.assign({}, details, { code: 'ESIGNALTIMEOUT' }));
+  }
+}
+
+/**
+ * The signal line could not be read.
+ *
+ * @class
+ */
+export class SignalReadError extends BootloaderError {
+  constructor(message, details = {}) {
+    super(message, Object.assign({}, details, { code: 'ESIGNALREAD' }));
+  }
+}
+
+/**
+ * A message could not be written to the serial device.
+ *
+ * @class
+ */
+export class SerialWriteError extends BootloaderError {
+  constructor(message, details = {}) {
+    super(message, Object.assign({}, details, { code: 'ESERIALWRITE' }));
+  }
+}
+
+/**
+ * A node reported that it could not verify a page.
+ *
+ * @class
+ */
+export class NodeVerifyError extends BootloaderError {
+  constructor(message, details = {}) {
+    super(message, Object.assign({}, details, { code: 'ENODEVERIFY' }));
+  }
+}
+
+/**
+ * Pages still failed to verify after the maximum number of programming tries.
+ * The cause is the last `NodeVerifyError`.
+ *
+ * @class
+ */
+export class MaxRetriesError extends BootloaderError {
+  constructor(message, details = {}) {
+    super(message, Object.assign({}, details, { code: 'EMAXRETRIES' }));
+  }
+}
@@ -0,0 +1,411 @@
+/* eslint no-bitwise: "off" */
+
+import * as path from 'path';
+
+const EMPTY_VALUE = 0xFF;
+
+// AVR toolchains place non-flash memories at these offsets in the ELF address space
+// (0x800000 SRAM, 0x810000 EEPROM, 0x820000 fuses, ...). Anything at or above it is not flash.
+const AVR_NON_FLASH_OFFSET = 0x800000;
+const AVR_EEPROM_OFFSET = 0x810000;
+const AVR_EEPROM_END = 0x820000;
+
+const EXTENSIONS = {
+  '.hex': 'hex',
+  '.ihx': 'hex',
+  '.ihex': 'hex',
+  '.eep': 'hex',
+  '.bin': 'bin',
+  '.elf': 'elf',
+  '.srec': 'srec',
+  '.s19': 'srec',
+  '.s28': 'srec',
+  '.s37': 'srec',
+  '.mot': 'srec',
+};
+
+/**
+ * The firmware formats that can be loaded.
+ * @type {Array}
+ */
+export const FORMATS = ['hex', 'bin', 'elf', 'srec'];
+
+/**
+ * Figure out the format of a firmware file.
+ * The file extension is used first, then the content is inspected for magic bytes.
+ * Anything that is not recognized is treated as a raw binary.
+ *
+ * @param {Buffer} content The file contents
+ * @param {String} filepath (optional) The file path, used for the extension
+ *
+ * @returns {String} One of `FORMATS`
+ */
+export function detectFormat(content, filepath) {
+  if (filepath) {
+    const ext = path.extname(filepath).toLowerCase();
+    if (EXTENSIONS[ext]) {
+      return EXTENSIONS[ext];
+    }
+  }
+
+  // ELF magic number
+  if (content.length >= 4 && content[0] === 0x7F && content.toString('ascii', 1, 4) === 'ELF') {
+    return 'elf';
+  }
+
+  // Text formats start with a record marker
+  const text = content.toString('ascii', 0, 16).trim();
+  if (/^:[0-9A-Fa-f]{2}/.test(text)) {
+    return 'hex';
+  }
+  if (/^S[0-9][0-9A-Fa-f]{2}/.test(text)) {
+    return 'srec';
+  }
+
+  return 'bin';
+}
+
+/**
+ * Parse a firmware image into the list of memory segments it contains.
+ * Each segment is a run of contiguous bytes and the flash address they are loaded to.
+ *
+ * Options
+ * -------
+ *    - format:   Force the file format (see `FORMATS`), instead of detecting it.
+ *    - filepath: The file the content came from, used to detect the format.
+ *    - memory:   `flash` (the default) or `eeprom`. An ELF file has both, so this picks the
+ *                segments to load: the EEPROM is loaded from its 0x810000 section, with
+ *                addresses from the start of the EEPROM.
+ *
+ * @param {Buffer} content The raw firmware file contents
+ * @param {Object} options Parsing options
+ *
+ * @returns {Object} An object with the `format` that was used, the `segments` (sorted by address)
+ *                   and the total number of data `bytes`.
+ */
+export function parseFirmware(content, options = {}) {
+  const format = options.format || detectFormat(content, options.filepath);
+  let segments;
+
+  switch (format) {
+    case 'hex':
+      segments = parseIntelHex(content);
+      break;
+    case 'bin':
+      segments = [{ address: 0, data: content }];
+      break;
+    case 'elf':
+      segments = parseElf(content, options.memory);
+      break;
+    case 'srec':
+      segments = parseSrec(content);
+      break;
+    default:
+      throw new Error(`Unknown firmware format '${format}'. Expected one of: ${FORMATS.join(', ')}`);
+  }
+
+  segments = mergeSegments(segments);
+  return {
+    format,
+    segments,
+    bytes: segments.reduce((sum, seg) => sum + seg.data.length, 0),
+  };
+}
+
+/**
+ * Split firmware segments into flash pages.
+ *
+ * Each page is numbered by its flash address (`address / pageSize`), so images that
+ * do not start at address 0, or have gaps between segments, are placed correctly.
+ * Bytes in a page that are not part of any segment are filled with 0xFF (erased flash).
+ * The last page of the image is only as long as the data in it.
+ *
+ * Options
+ * -------
+ *    - skipBlankPages: Leave out pages that contain only 0xFF.
+ *
+ * @param {Array} segments List of `{address, data}` objects
+ * @param {int} pageSize The number of bytes per page
+ * @param {Object} options (optional)
+ *
+ * @returns {Array} List of `{number, address, data}` page objects, sorted by page number
+ */
+export function buildPages(segments, pageSize, options = {}) {
+  const pages = {};
+
+  segments.forEach((seg) => {
+    let pos = 0;
+    while (pos < seg.data.length) {
+      const address = seg.address + pos;
+      const number = Math.floor(address / pageSize);
+      const offset = address - (number * pageSize);
+      const length = Math.min(pageSize - offset, seg.data.length - pos);
+
+      if (!pages[number]) {
+        pages[number] = {
+          number,
+          address: number * pageSize,
+          data: Buffer.alloc(pageSize, EMPTY_VALUE),
+          used: 0,
+        };
+      }
+
+      const page = pages[number];
+      seg.data.copy(page.data, offset, pos, pos + length);
+      page.used = Math.max(page.used, offset + length);
+      pos += length;
+    }
+  });
+
+  const numbers = Object.keys(pages).map(Number).sort((a, b) => a - b);
+  const lastNumber = numbers[numbers.length - 1];
+
+  return numbers
+    .map((number) => {
+      const page = pages[number];
+      const length = (number === lastNumber) ? page.used : pageSize;
+      return {
+        number,
+        address: page.address,
+        data: page.data.slice(0, length),
+      };
+    })
+    .filter(page => !options.skipBlankPages || !isBlank(page.data));
+}
+
+/**
+ * Is this data all erased flash (0xFF)?
+ *
+ * @param {Buffer} data
+ *
+ * @returns {boolean}
+ */
+function isBlank(data) {
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] !== EMPTY_VALUE) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Sort segments by address and join the ones that are next to each other.
+ * Where segments overlap, the later segment wins.
+ *
+ * @param {Array} segments List of `{address, data}` objects
+ *
+ * @returns {Array}
+ */
+function mergeSegments(segments) {
+  const sorted = segments
+    .filter(seg => seg.data.length > 0)
+    .map((seg, i) => ({ seg, i }))
+    .sort((a, b) => (a.seg.address - b.seg.address) || (a.i - b.i))
+    .map(item => item.seg);
+  const merged = [];
+
+  sorted.forEach((seg) => {
+    const last = merged[merged.length - 1];
+    const lastEnd = last ? last.address + last.data.length : -1;
+
+    if (last && seg.address <= lastEnd) {
+      const end = Math.max(lastEnd, seg.address + seg.data.length);
+      const data = Buffer.alloc(end - last.address, EMPTY_VALUE);
+      last.data.copy(data, 0);
+      seg.data.copy(data, seg.address - last.address);
+      last.data = data;
+    } else {
+      merged.push({ address: seg.address, data: seg.data });
+    }
+  });
+  return merged;
+}
+
+/**
+ * Get the data records out of an Intel Hex file, in one pass over its records.
+ * Extended segment (type 02) and extended linear (type 04) address records
+ * are applied, so each record is placed at its real address, and gaps are not programmed.
+ *
+ * @param {Buffer} content The Intel Hex file
+ *
+ * @returns {Array} List of `{address, data}` objects
+ */
+function parseIntelHex(content) {
+  const lines = content.toString('ascii').split(/\r?\n/);
+  const segments = [];
+  let baseAddress = 0;
+  let ended = false;
+
+  lines.forEach((line, i) => {
+    const record = line.trim();
+    if (ended || !record.length) {
+      return;
+    }
+    if (!/^:([0-9A-Fa-f]{2}){5,}$/.test(record)) {
+      throw new Error(`Line ${i + 1} is not a valid Intel Hex record`);
+    }
+
+    const bytes = Buffer.from(record.substr(1), 'hex');
+    const length = bytes[0];
+    const address = bytes.readUInt16BE(1);
+    const type = bytes[3];
+    if (length !== bytes.length - 5) {
+      throw new Error(`Invalid byte count on line ${i + 1}`);
+    }
+
+    // The checksum is the two's complement of the sum of all the other bytes
+    const sum = bytes.slice(0, -1).reduce((total, b) => (total + b) & 0xFF, 0);
+    const checksum = (0x100 - sum) & 0xFF;
+    if (checksum !== bytes[bytes.length - 1]) {
+      throw new Error(`Invalid checksum on line ${i + 1}: got ${bytes[bytes.length - 1]}, but expected ${checksum}`);
+    }
+
+    const data = bytes.slice(4, -1);
+    if ((type === 0x02 || type === 0x04) && length !== 2) {
+      throw new Error(`Invalid extended address record on line ${i + 1}`);
+    }
+
+    switch (type) {
+      case 0x00: // Data
+        segments.push({ address: baseAddress + address, data });
+        break;
+      case 0x01: // End of file
+        ended = true;
+        break;
+      case 0x02: // Extended segment address
+        baseAddress = data.readUInt16BE(0) * 16;
+        break;
+      case 0x04: // Extended linear address
+        baseAddress = data.readUInt16BE(0) * 0x10000;
+        break;
+      case 0x03: // Start segment address
+      case 0x05: // Start linear address
+        break;
+      default:
+        throw new Error(`Invalid record type (${type}) on line ${i + 1}`);
+    }
+  });
+
+  if (!ended) {
+    throw new Error('Unexpected end of input: missing EOF record');
+  }
+  return segments;
+}
+
+/**
+ * Get the loadable segments out of an ELF file.
+ * Uses the physical (load) address of each PT_LOAD program header.
+ *
+ * @param {Buffer} content The ELF file
+ * @param {String} memory (optional) `eeprom` for the EEPROM segments, otherwise the flash segments
+ *
+ * @returns {Array} List of `{address, data}` objects
+ */
+function parseElf(content, memory) {
+  if (content.length < 52 || content[0] !== 0x7F || content.toString('ascii', 1, 4) !== 'ELF') {
+    throw new Error('Not an ELF file');
+  }
+
+  const is64 = (content[4] === 2);
+  const le = (content[5] === 1);
+  const u16 = offset => (le ? content.readUInt16LE(offset) : content.readUInt16BE(offset));
+  const u32 = offset => (le ? content.readUInt32LE(offset) : content.readUInt32BE(offset));
+  const u64 = (offset) => {
+    const lo = u32(le ? offset : offset + 4);
+    const hi = u32(le ? offset + 4 : offset);
+    return (hi * 0x100000000) + lo;
+  };
+  const addr = offset => (is64 ? u64(offset) : u32(offset));
+
+  const phoff = addr(is64 ? 32 : 28);
+  const phentsize = u16(is64 ? 54 : 42);
+  const phnum = u16(is64 ? 56 : 44);
+  const eeprom = (memory === 'eeprom');
+  const isLoaded = paddr => ((eeprom)
+    ? paddr >= AVR_EEPROM_OFFSET && paddr < AVR_EEPROM_END
+    : paddr < AVR_NON_FLASH_OFFSET);
+  const segments = [];
+
+  for (let i = 0; i < phnum; i++) {
+    const ph = phoff + (i * phentsize);
+    if (ph + phentsize > content.length) {
+      throw new Error('ELF program header table is truncated');
+    }
+
+    const type = u32(ph);
+    const offset = addr(ph + (is64 ? 8 : 4));
+    const paddr = addr(ph + (is64 ? 24 : 12));
+    const filesz = addr(ph + (is64 ? 32 : 16));
+
+    // Only loadable segments that have data in the file
+    if (type === 1 && filesz > 0 && isLoaded(paddr)) {
+      if (offset + filesz > content.length) {
+        throw new Error(`ELF segment ${i} extends past the end of the file`);
+      }
+      segments.push({
+        address: (eeprom) ? paddr - AVR_EEPROM_OFFSET : paddr,
+        data: content.slice(offset, offset + filesz),
+      });
+    }
+  }
+
+  if (!segments.length) {
+    throw new Error((eeprom) ? 'ELF file has no EEPROM segment (at 0x810000)' : 'ELF file has no loadable segments');
+  }
+  return segments;
+}
+
+/**
+ * Get the data records out of a Motorola S-record file.
+ *
+ * @param {Buffer} content The S-record file
+ *
+ * @returns {Array} List of `{address, data}` objects
+ */
+function parseSrec(content) {
+  const addrLengths = { 1: 2, 2: 3, 3: 4 };
+  const lines = content.toString('ascii').split(/\r?\n/);
+  const segments = [];
+
+  lines.forEach((line, i) => {
+    const record = line.trim();
+    if (!record.length) {
+      return;
+    }
+    if (!/^S[0-9]([0-9A-Fa-f]{2})+$/.test(record)) {
+      throw new Error(`Line ${i + 1} is not a valid S-record`);
+    }
+
+    const type = parseInt(record[1], 10);
+    const bytes = Buffer.from(record.substr(2), 'hex');
+    const count = bytes[0];
+    if (count !== bytes.length - 1) {
+      throw new Error(`Invalid byte count on line ${i + 1}`);
+    }
+
+    // Checksum is the ones' complement of the sum of all the bytes
+    let sum = 0;
+    for (let b = 0; b < bytes.length - 1; b++) {
+      sum = (sum + bytes[b]) & 0xFF;
+    }
+    const checksum = (~sum) & 0xFF;
+    if (checksum !== bytes[bytes.length - 1]) {
+      throw new Error(`Invalid checksum on line ${i + 1}: got ${bytes[bytes.length - 1]}, but expected ${checksum}`);
+    }
+
+    // Data records
+    const addrLen = addrLengths[type];
+    if (addrLen) {
+      segments.push({
+        address: bytes.readUIntBE(1, addrLen),
+        data: bytes.slice(1 + addrLen, bytes.length - 1),
+      });
+    }
+  });
+
+  if (!segments.length) {
+    throw new Error('No data records found');
+  }
+  return segments;
+}
@@ -1,18 +1,103 @@
 
 import * as fs from 'fs';
-import * as intelHex from 'intel-hex';
 import { EventEmitter } from 'events';
 import { DiscoBusMaster } from 'discobus';
+import { parseFirmware, buildPages } from './firmware';
+import { crc16, crc32, toBytes } from './crc';
+import { parseNodeList, formatNodeList } from './nodes';
+import { discover } from './discover';
+import { enterBootloader } from './entry';
+import { verifyNodes } from './readback';
+import { findMcu, detectMcu } from './mcu';
+import { createSignal, closeSignal } from './signal';
+import { createRetryStrategy } from './retry';
+import { createPacing } from './pacing';
+import { SimulatedSerialPort } from './simulator';
+import { TcpTransport, Rfc2217Transport, createTransport } from './transport';
+import {
+  Recorder,
+  ReplayPort,
+  ReplaySignal,
+  parseCapture,
+  captureSessions,
+  captureDecisions,
+  sessionOptions,
+} from './recorder';
+import * as errors from './errors';
+import {
+  MSG_START,
+  MSG_PAGE_NUM,
+  MSG_PAGE_DATA,
+  MSG_END,
+  MSG_ROLLBACK,
+  MSG_EEPROM_ADDRESS,
+  EEPROM_ADDRESS_SIZE,
+  MEMORY_FLASH,
+  MEMORY_EEPROM,
+  PAGE_NUM_SIZE,
+  START_FLAG_CRC,
+} from './protocol';
 
 
-const MSG_START = 0xF1;
-const MSG_PAGE_NUM = 0xF2;
-const MSG_PAGE_DATA = 0xF3;
-const MSG_END = 0xF4;
-
+const PROTOCOL_VERSION = 1;
 const MAX_RETRIES = 3;
 const TIME_BETWEEN_PAGES = 20;
+const MIN_TIME_BETWEEN_PAGES = 1;
+const MAX_TIME_BETWEEN_PAGES = 500;
 const SIGNAL_TIMEOUT = 3000;
+const READY_DELAY = 1000;
+const VERIFY_RETRIES = 1;
+const EEPROM_PAGE_SIZE = 32;
+const ABORT_MESSAGES = ['end', 'rollback'];
+
+/**
+ * The states of a programming session.
+ *
+ *    - idle:          Nothing has been programmed yet
+ *    - loading:       Reading and parsing the program, and choosing the nodes to program
+ *    - waiting-ready: Waiting for the nodes to enable the signal line
+ *    - starting:      Sending the start message, and waiting for the nodes to be ready
+ *    - sending:       Sending a page number and page data
+ *    - verifying:     Checking the signal line for errors after a page
+ *    - retrying:      Going back to resend pages after an error
+ *    - reading-back:  Asking each node for the checksum of its flash (the `verify` option)
+ *    - finishing:     Sending the end message
+ *    - done:          Programming finished successfully
+ *    - failed:        Programming failed or was aborted
+ */
+const STATE = {
+  IDLE: 'idle',
+  LOADING: 'loading',
+  WAITING_READY: 'waiting-ready',
+  STARTING: 'starting',
+  SENDING: 'sending',
+  VERIFYING: 'verifying',
+  RETRYING: 'retrying',
+  READING_BACK: 'reading-back',
+  FINISHING: 'finishing',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+// The states each state can change to
+const TRANSITIONS = {
+  [STATE.IDLE]: [STATE.LOADING],
+  [STATE.LOADING]: [STATE.WAITING_READY, STATE.DONE, STATE.FAILED],
+  [STATE.WAITING_READY]: [STATE.STARTING, STATE.FAILED],
+  [STATE.STARTING]: [STATE.SENDING, STATE.FAILED],
+  [STATE.SENDING]: [STATE.VERIFYING, STATE.FAILED],
+  [STATE.VERIFYING]: [STATE.SENDING, STATE.RETRYING, STATE.READING_BACK, STATE.FINISHING, STATE.FAILED],
+  [STATE.RETRYING]: [STATE.SENDING, STATE.FAILED],
+  [STATE.READING_BACK]: [STATE.SENDING, STATE.FINISHING, STATE.FAILED],
+  [STATE.FINISHING]: [STATE.DONE, STATE.FAILED],
+  [STATE.DONE]: [STATE.LOADING],
+  [STATE.FAILED]: [STATE.LOADING],
+};
+
+// The states where the nodes have been sent the start message, and are in the page loop
+const PROGRAMMING_STATES = [
+  STATE.STARTING, STATE.SENDING, STATE.VERIFYING, STATE.RETRYING, STATE.READING_BACK, STATE.FINISHING,
+];
 
 /**
  * Sends a program over a serial connection to one or more
@@ -27,13 +112,59 @@ class MultiBootloader extends EventEmitter {
    *
    * Option
    * ------
-   *    - pageSize:         (required) The number of BYTES per page (not words)
+   *    - pageSize:         (required, unless `mcu` is set) The number of BYTES per page (not words)
    *                        Check the datasheet of the chip)
+   *    - mcu:              The part name (i.e. 'atmega328p'), to get the page size and flash size
+   *                        from the built-in table of parts.
    *    - version.major:    The new program version's major number
    *    - version.minor:    The new program version's minor number
    *    - maxTries:         The maximum number of programming retries to make when there are errors.
+   *    - retryStrategy:    How to resend pages that nodes report errors for: 'selective' (default) only
+   *                        resends the pages that failed, 'restart' resends from the first error and then
+   *                        the entire image. Or an object with a `nextPass()` method (see retry.js).
+   *    - maxPageRetries:   With the 'selective' strategy, how many times each page can be resent
+   *                        (default: `maxTries - 1`).
    *    - timeBetweenPages: The number of milliseconds to pause between page messages.
-   *    - signalTimeout:    Maximum time to wait for signal line to change to acknoledge nodes are ready.
+   *    - pacing:           'fixed' (default) always pauses `timeBetweenPages`. 'adaptive' starts from an
+   *                        estimate based on the baud rate and page size, shortens the pause while pages
+   *                        verify, and backs off when nodes report errors.
+   *    - baudRate:         The serial baud rate, for adaptive pacing (read from the serial port if not set).
+   *    - minTimeBetweenPages: The shortest adaptive pause, in milliseconds.
+   *    - maxTimeBetweenPages: The longest adaptive pause, in milliseconds.
+   *    - signalTimeout:    Maximum time to wait for signal line to change to acknoledge nodes are ready,
+   *                        and to read the signal line after each page.
+   *    - signal:           Where to read the signal line from: 'dsr' (default), 'cts', 'dcd', 'ri',
+   *                        'gpio:<pin>' (sysfs GPIO), 'gpiochip<n>:<line>' (GPIO character device),
+   *                        'none' (timing only), or a provider object with a `read()` method.
+   *    - signalInvert:     The signal line is HIGH enabled, instead of LOW enabled.
+   *    - readyDelay:       With no signal line, the milliseconds to wait for nodes to be ready,
+   *                        instead of watching the signal line.
+   *    - skipBlankPages:   Do not send pages that are entirely blank (0xFF). Only use this if the
+   *                        bootloader on the nodes erases the flash before programming.
+   *                        A program that is entirely blank is rejected, since no pages would be sent.
+   *    - protocolVersion:  The bootloader protocol version the nodes speak (default 1).
+   *                        Version 1 sends 8-bit page numbers, version 2 sends 16-bit page numbers
+   *                        and announces the protocol version in the start message.
+   *    - crc:              Send a CRC-16 with each page and a CRC-32 of the whole image
+   *                        with the end message, so nodes can verify what they received.
+   *    - targets:          Only program these node addresses, instead of broadcasting to the entire bus.
+   *                        This can be an array of addresses, or a range string like "3-10,14".
+   *    - onlyIfNewer:      Ask the nodes which program version they have installed first, and leave out
+   *                        the ones that already have `version` or newer.
+   *    - abortMessage:     The message to send when programming is aborted: 'end' (default) sends
+   *                        MSG_END, 'rollback' sends MSG_ROLLBACK, for bootloaders that can discard
+   *                        a partial program.
+   *    - recorder:         A `Recorder` that records the signal line readings and the decisions made
+   *                        while programming (see `Recorder.wrap()` to also record the bus).
+   *    - verify:           After the last page, ask each node (one at a time) for the checksum of the
+   *                        flash the program was written to, and reprogram the nodes that don't match the
+   *                        image, addressed to just those nodes (with a new retry strategy, so each
+   *                        reprogramming pass has its own retries). Without `targets`, the nodes are found
+   *                        with `discover()` first, and it fails if none are found.
+   *    - verifyRetries:    How many times the nodes that fail verification are reprogrammed (default 1).
+   *    - verifyTimeout:    How long to wait for each node's checksum, in milliseconds (default 1000).
+   *    - eepromPageSize:   The number of EEPROM bytes sent in each page message (default 32). This must
+   *                        fit in the bootloader's page buffer.
    *
    * @param {SerialPort} serial An open SerialPort instance.
    * @param {Object} options List of programming options.
@@ -47,10 +178,50 @@ class MultiBootloader extends EventEmitter {
     this._currentPage = -1;
     this._programTries = 0;
     this._errorAtPage = -1;
+    this._verifyError = null;
+    this._imageCrc = 0;
+
+    // The pages to send in this programming pass, and the ones that failed
+    this._passPages = [];
+    this._passIndex = 0;
+    this._failedPages = [];
+    this._retry = null;
+
+    // Page pacing and programming speed
+    this._pacing = null;
+    this._startTime = 0;
+    this._bytesSent = 0;
+    this._report = null;
+
+    // Progress: the page bytes to send (including resends), when sending started and the last page was sent
+    this._pass = 0;
+    this._pagesSent = 0;
+    this._totalBytes = 0;
+    this._sendStartTime = 0;
+    this._lastPageTime = 0;
 
     this._programPromise = {};
+    this._mcu = null;
+
+    // The programming session state, and its pending timers
+    this._state = STATE.IDLE;
+    this._aborted = false;
+    this._timers = [];
 
-    if (typeof options.pageSize === 'undefined') {
+    // Get the page size from the MCU type
+    let pageSize = options && options.pageSize;
+    if (options && options.mcu) {
+      this._mcu = findMcu(options.mcu);
+      if (!this._mcu) {
+        throw new Error(`Unknown MCU '${options.mcu}'. Set the page size instead.`);
+      }
+      if (typeof options.pageSize !== 'undefined' && options.pageSize !== this._mcu.pageSize) {
+        throw new Error(`Page size ${options.pageSize} does not match the ${this._mcu.name} page size (${this._mcu.pageSize} bytes)`);
+      }
+      pageSize = this._mcu.pageSize;
+    }
+
+    if (typeof pageSize === 'undefined') {
       throw new Error('Page size was not set');
     }
 
@@ -59,18 +230,67 @@ class MultiBootloader extends EventEmitter {
       maxTries: MAX_RETRIES,
       timeBetweenPages: TIME_BETWEEN_PAGES,
       signalTimeout: SIGNAL_TIMEOUT,
-    }, options);
+      skipBlankPages: false,
+      protocolVersion: PROTOCOL_VERSION,
+      crc: false,
+      onlyIfNewer: false,
+      signal: 'dsr',
+      signalInvert: false,
+      readyDelay: READY_DELAY,
+      abortMessage: 'end',
+      verify: false,
+      eepromPageSize: EEPROM_PAGE_SIZE,
+      retryStrategy: 'selective',
+      pacing: 'fixed',
+      baudRate: serialBaudRate(serial),
+      minTimeBetweenPages: MIN_TIME_BETWEEN_PAGES,
+      maxTimeBetweenPages: MAX_TIME_BETWEEN_PAGES,
+    }, options, { pageSize });
     this._opt.version = Object.assign({}, {
       major: 0,
       minor: 0,
     }, this._opt.version);
 
+    if (!PAGE_NUM_SIZE[this._opt.protocolVersion]) {
+      throw new Error(`Unsupported protocol version: ${this._opt.protocolVersion}`);
+    }
+    if (ABORT_MESSAGES.indexOf(this._opt.abortMessage) === -1) {
+      throw new Error(`Unknown abort message '${this._opt.abortMessage}'. Use 'end' or 'rollback'.`);
+    }
+    createRetryStrategy(this._opt.retryStrategy, this._opt);
+    createPacing(this._opt);
+
+    // Signal line
+    this._signal = createSignal(serial, this._opt.signal);
+
+    // Node addresses to program (null to broadcast to all)
+    this._targets = null;
+    if (typeof this._opt.targets !== 'undefined' && this._opt.targets !== null) {
+      this._targets = parseNodeList(this._opt.targets);
+      if (!this._targets.length) {
+        throw new Error('No target node addresses were given');
+      }
+    }
+
+    // The nodes being programmed this session and the ones left out because they're up to date
+    this._activeTargets = this._targets;
+    this._skippedNodes = [];
+
+    // Read-back verification: the nodes found on the bus, the ones to check next, and the results
+    this._foundNodes = null;
+    this._sessionTargets = null;
+    this._readBackNodes = null;
+    this._readBackDone = false;
+    this._readBackError = null;
+    this._verifyAttempts = 0;
+    this._verification = null;
+
     // Init bus
     this._disco = new DiscoBusMaster();
     this._disco.connectWith(serial);
 
     this._disco.on('error', (err) => {
-      this._emit('error', `[discobus] ${err}`);
+      this._emit('error', `[discobus] ${err}`, this._error(errors.SerialWriteError, `${err}`, { cause: err }));
     });
 
     // Normalize version numbers
@@ -88,6 +308,202 @@ class MultiBootloader extends EventEmitter {
     }
   }
 
+  /**
+   * Find the nodes on the bus and get their bootloader version, installed program version,
+   * MCU signature and page size. The nodes need to be in the bootloader to respond.
+   *
+   * Options
+   * -------
+   *    - nodes:           Only query these node addresses, instead of addressing the bus first.
+   *    - responseTimeout: How long to wait for each node to respond, in milliseconds.
+   *
+   * @param {SerialPort} serial An open SerialPort instance.
+   * @param {Object} options (optional)
+   *
+   * @returns {Promise} Resolves with a list of node info objects
+   */
+  static discover(serial, options = {}) {
+    const disco = new DiscoBusMaster();
+    disco.connectWith(serial);
+    return discover(disco, options);
+  }
+
+  /**
+   * Detect the MCU part on the bus, from the signatures the nodes report with `discover()`.
+   * This fails if the nodes have different signatures, or the signature is not in the built-in table.
+   *
+   * @param {SerialPort} serial An open SerialPort instance.
+   * @param {Object} options (optional) The same options as `discover()`
+   *
+   * @returns {Promise} Resolves with the part (name, signature, pageSize, flashSize, bootSizes and eepromSize)
+   */
+  static detectMcu(serial, options = {}) {
+    return MultiBootloader.discover(serial, options)
+    .then(nodes => detectMcu(nodes));
+  }
+
+  /**
+   * Put the nodes into the bootloader from their application, by sending the application's
+   * bootloader entry message, and wait until the signal line shows they're in the bootloader.
+   *
+   * Options
+   * -------
+   *    - command:      (required) The DiscoBus message command that makes the application jump to the bootloader
+   *    - data:         The message data, for applications that need an unlock code (Array or Buffer)
+   *    - repeat:       How many times to send the message (default 1)
+   *    - interval:     The milliseconds between each time the message is sent (default 100)
+   *    - nodes:        Send the message to each of these node addresses, instead of broadcasting it
+   *    - readyTimeout: How long to wait for the signal line, in milliseconds (default 5000)
+   *    - readyDelay:   With no signal line, the milliseconds to wait instead (default 1000)
+   *    - signal:       The signal line, like the `signal` bootloader option (default 'dsr')
+   *    - signalInvert: The signal line is HIGH enabled, instead of LOW enabled
+   *
+   * @param {SerialPort} serial An open SerialPort instance.
+   * @param {Object} options
+   *
+   * @returns {Promise} Resolves with the number of messages `sent` and the milliseconds `waited` for the nodes.
+   *                    Rejects with a `SignalTimeoutError` if the signal line isn't enabled in time.
+   */
+  static enterBootloader(serial, options = {}) {
+    let signal;
+    try {
+      signal = createSignal(serial, options.signal || 'dsr');
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    const readSignal = () => signal.read()
+    .then(value => ((options.signalInvert) ? !value : value))
+    .catch((err) => {
+      throw new errors.SignalReadError(`Could not read signal line (${err})`, { cause: err });
+    });
+
+    const disco = new DiscoBusMaster();
+    disco.connectWith(serial);
+    return enterBootloader(disco, (signal.timingOnly) ? null : readSignal, options)
+    .then((result) => {
+      closeSignal(signal);
+      return result;
+    }, (err) => {
+      closeSignal(signal);
+      throw err;
+    });
+  }
+
+  /**
+   * Replay a programming session from a capture (see `Recorder`), to reproduce the decisions it made offline.
+   * The bootloader is given the recorded options, program, signal line readings and received data,
+   * and its decisions and the bytes it writes are compared to the capture.
+   *
+   * Options
+   * -------
+   *    - session: The index of the session to replay, if the capture has more than one (default 0).
+   *
+   * The promise resolves with:
+   *    - matches:    The replay made the same decisions and wrote the same bytes as the capture
+   *    - error:      The error the replayed session failed with, or null
+   *    - decisions:  The replayed decisions
+   *    - expected:   The decisions in the capture
+   *    - mismatch:   The index of the first decision that's different, or -1
+   *    - divergence: The first byte written that's different (`offset`, `expected` and `actual`), or null
+   *
+   * @param {String|Buffer|Array} capture The capture file contents, or its entries
+   * @param {Object} options (optional)
+   *
+   * @returns {Promise}
+   */
+  static replay(capture, options = {}) {
+    let entries;
+    try {
+      entries = (Array.isArray(capture)) ? capture : parseCapture(capture);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    const index = options.session || 0;
+    const session = captureSessions(entries)[index];
+    const image = session && session.find(entry => entry.type === 'image');
+    if (!session || !image) {
+      return Promise.reject(new Error(`The capture does not have programming session ${index}`));
+    }
+
+    const recorded = session[0].options;
+    const port = new ReplayPort(session);
+    const recorder = new Recorder();
+    let bootloader;
+    try {
+      bootloader = new MultiBootloader(port, Object.assign({}, recorded, {
+        signal: new ReplaySignal(session, recorded.signal === 'none'),
+        signalInvert: false,
+        recorder,
+      }));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+    bootloader.on('error', () => {});
+
+    const content = Buffer.from(image.data, 'hex');
+    return bootloader.programBuffer((image.eeprom) ? { flash: content, eeprom: Buffer.from(image.eeprom, 'hex') } : content, {
+      format: image.format || undefined,
+      filepath: image.filepath || undefined,
+      eepromFilepath: image.eepromFilepath || undefined,
+    })
+    .then(() => null, err => err)
+    .then((error) => {
+      const decisions = captureDecisions(recorder.entries);
+      const expected = captureDecisions(session);
+      const length = Math.max(decisions.length, expected.length);
+      let mismatch = -1;
+      for (let i = 0; i < length && mismatch < 0; i++) {
+        if (JSON.stringify(decisions[i]) !== JSON.stringify(expected[i])) {
+          mismatch = i;
+        }
+      }
+
+      return {
+        matches: mismatch < 0 && !port.divergence,
+        error,
+        decisions,
+        expected,
+        mismatch,
+        divergence: port.divergence,
+      };
+    });
+  }
+
+  /**
+   * The MCU part from the built-in table, if the `mcu` option was set.
+   * @type {Object}
+   */
+  get mcu() {
+    return this._mcu;
+  }
+
+  /**
+   * The programming session state (one of `MultiBootloader.STATE`)
+   * @type {String}
+   */
+  get state() {
+    return this._state;
+  }
+
+  /**
+   * Is a programming session running
+   * @type {boolean}
+   */
+  get active() {
+    return [STATE.IDLE, STATE.DONE, STATE.FAILED].indexOf(this._state) === -1;
+  }
+
+  /**
+   * The report of the last programming session that finished, or null.
+   * See `programBuffer()`.
+   * @type {Object}
+   */
+  get report() {
+    return this._report;
+  }
+
   /**
    * Get the current page we're sending
    * @type {int}
@@ -104,38 +520,305 @@ class MultiBootloader extends EventEmitter {
     return this._pages.length;
   }
 
+  /**
+   * The node addresses being programmed, or `null` if programming is broadcast to all nodes.
+   * @type {Array}
+   */
+  get targets() {
+    return this._targets;
+  }
+
+  /**
+   * The node addresses that were left out of programming, because they already had
+   * the program version (see the `onlyIfNewer` option).
+   * @type {Array}
+   */
+  get skippedNodes() {
+    return this._skippedNodes;
+  }
+
+  /**
+   * The read-back verification result of each node in the last session, sorted by address,
+   * or null if the `verify` option is not set (see the `verify` event).
+   * @type {Array}
+   */
+  get verification() {
+    if (!this._verification) {
+      return null;
+    }
+    return Object.keys(this._verification)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(address => this._verification[address]);
+  }
+
   /**
    * Detects the signal line.
-   * By defualt this looks at the DSR line on the serial connection,
-   * but this method can be overriden to detect the state another way.
+   * By defualt this looks at the DSR line on the serial connection, but the `signal` option
+   * can choose another line, and this method can be overriden to detect the state another way.
    *
    * When the line is HIGH, this will return `false`, when the line is LOW
-   * it will return `true`. (the signal line is low enabled)
+   * it will return `true`. (the signal line is low enabled, unless `signalInvert` is set)
    *
    * @returns {Promise}
    */
   readSignalLine() {
-    return new Promise((resolve) => {
-      this._serial.get((err, status) => {
-        if (err) {
-          this._emit('error', 'Could not read signal line');
-          resolve(false);
-        } else {
-          resolve(status.dsr);
-        }
-      });
+    return this._signal.read()
+    .then((value) => {
+      const enabled = (this._opt.signalInvert) ? !value : value;
+      this._record('signal', { value: enabled });
+      return enabled;
+    })
+    .catch((err) => {
+      const message = `Could not read signal line (${err})`;
+      this._record('signal', { error: `${(err && err.message) || err}` });
+      this._emit('error', message, this._error(errors.SignalReadError, message, { cause: err }));
+      return false;
     });
   }
 
   /**
    * Program all devices with this compiled program file.
    *
-   * @param {String} filepath The path to the file to program
+   * The file can be Intel Hex, ELF, Motorola S-record or a raw binary.
+   * The format is detected from the file extension or contents, unless `options.format` is set.
+   *
+   * To write the EEPROM in the same session, pass the `flash` and `eeprom` file paths instead, like
+   * `{ flash: 'program.hex', eeprom: 'program.eep' }`. The EEPROM pages are sent after the flash pages.
+   *
+   * Options
+   * -------
+   *    - format:      Force the flash file format ('hex', 'elf', 'srec' or 'bin')
+   *    - abortSignal: An `AbortSignal` that stops programming, like calling `abort()`
+   *
+   * @param {String|Object} filepath The path to the file to program, or the `flash` and `eeprom` file paths
+   * @param {Object} options (optional) Programming options
+   *
+   * @return {Promise}
+   */
+  program(filepath, options = {}) {
+    const files = (filepath && typeof filepath === 'object') ? filepath : { flash: filepath };
+    const load = (done) => {
+      fs.readFile(files.flash, (err, flash) => {
+        if (err || !files.eeprom) {
+          done(err, flash);
+          return;
+        }
+        fs.readFile(files.eeprom, (eepromErr, eeprom) => done(eepromErr, { flash, eeprom }));
+      });
+    };
+    return this._runSession(load, Object.assign({}, options, {
+      filepath: files.flash,
+      eepromFilepath: files.eeprom,
+    }));
+  }
+
+  /**
+   * Program all devices with a program that is already in memory.
+   * The buffer contains the program file contents, in any of the formats supported by `program()`.
+   * To write the EEPROM too, pass an object with the `flash` and `eeprom` file contents.
+   *
+   * Options
+   * -------
+   *    - format:         Force the flash file format ('hex', 'elf', 'srec' or 'bin')
+   *    - filepath:       The name the content came from, used to detect the format.
+   *    - eepromFilepath: The name the EEPROM content came from, used to detect its format.
+   *    - abortSignal:    An `AbortSignal` that stops programming, like calling `abort()`
+   *
+   * When programming finishes, the `report` event is emitted with a summary of the session,
+   * which is also kept in the `report` property:
+   *
+   *    - pages:            The number of pages in the image
+   *    - bytes:            The number of bytes in the image
+   *    - bytesSent:        The bytes of page data sent, including resent pages
+   *    - retries:          The number of retry passes
+   *    - duration:         Milliseconds from the start message to the end
+   *    - bytesPerSecond:   The effective programming speed (image bytes / duration)
+   *    - timeBetweenPages: The final pause between pages, in milliseconds
+   *    - verification:     With the `verify` option, each node's read-back result (see `verification`)
+   *    - eeprom:           The number of EEPROM `pages` and `bytes`, or null without an EEPROM file
+   *
+   * @param {Buffer|Object} buffer The program file contents, or the `flash` and `eeprom` file contents
+   * @param {Object} options (optional) Programming options
    *
    * @return {Promise}
    */
-  program(filepath) {
+  programBuffer(buffer, options = {}) {
+    const image = (buffer && !Buffer.isBuffer(buffer)) ? buffer : { flash: buffer };
+    const load = (done) => {
+      if (!Buffer.isBuffer(image.flash) || (image.eeprom && !Buffer.isBuffer(image.eeprom))) {
+        done(new TypeError('The program content must be a Buffer'));
+        return;
+      }
+      done(null, image);
+    };
+    return this._runSession(load, options);
+  }
+
+  /**
+   * Program all devices with a program read from a stream (for example, stdin or an HTTP response).
+   * The entire stream is read before programming begins.
+   *
+   * @param {stream.Readable} readable The stream to read the program file from
+   * @param {Object} options (optional) Programming options, see `programBuffer()`
+   *
+   * @return {Promise}
+   */
+  programStream(readable, options = {}) {
+    const load = (done) => {
+      const chunks = [];
+
+      readable.on('data', (chunk) => {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      });
+      readable.on('error', (err) => {
+        done(err);
+      });
+      readable.on('end', () => {
+        done(null, Buffer.concat(chunks));
+      });
+    };
+    return this._runSession(load, options);
+  }
+
+  /**
+   * Stop programming.
+   * All pending timers are cleared, and if programming has started, the nodes are sent MSG_END
+   * (or MSG_ROLLBACK, see the `abortMessage` option) so they leave the page loop.
+   * The promise returned by `program()` then rejects with an `AbortError`.
+   *
+   * @param {String} reason (optional) Why programming was stopped
+   *
+   * @returns {Promise} Resolves once the nodes have been sent the abort message,
+   *                    or right away if nothing is being programmed.
+   */
+  abort(reason) {
+    if (!this.active || this._aborted) {
+      return Promise.resolve();
+    }
+
+    const error = this._error(errors.AbortError, reason);
+    this._record('decision', { decision: 'abort', reason: error.message });
+    this._aborted = true;
+    this._clearTimers();
+    this._emit('status', `Aborting: ${error.message}`);
+
+    // The nodes are not in the page loop yet
+    if (PROGRAMMING_STATES.indexOf(this._state) === -1) {
+      this._programPromise.reject(error);
+      return Promise.resolve();
+    }
+
+    return this._exitPageLoop()
+    .then(() => {
+      this._programPromise.reject(error);
+    });
+  }
+
+  /**
+   * Send the nodes MSG_END (or MSG_ROLLBACK, see the `abortMessage` option) when programming stops
+   * before it's finished, so they leave the page loop.
+   *
+   * @returns {Promise} Resolves once the message has been sent. It does not reject.
+   */
+  _exitPageLoop() {
+    // With CRCs, the image CRC in MSG_END will not match the partial program
+    const rollback = (this._opt.abortMessage === 'rollback');
+    const command = (rollback) ? MSG_ROLLBACK : MSG_END;
+    const data = (!rollback && this._opt.crc) ? toBytes(this._imageCrc, 4) : [];
+
+    // Send twice, for good measure
+    return this._sendToTargets(command, data)
+    .then(() => this._sendToTargets(command, data))
+    .catch((err) => {
+      this._emit('error', `Could not send the abort message (${err})`, err);
+    });
+  }
+
+  /**
+   * Fail programming. Once the nodes have been sent the start message, they're sent
+   * the abort message first, so they aren't left waiting for pages in the page loop.
+   *
+   * @param {Error} err Why programming failed
+   */
+  _fail(err) {
+    this._clearTimers();
+    if (PROGRAMMING_STATES.indexOf(this._state) === -1 || this._aborted) {
+      this._programPromise.reject(err);
+      return;
+    }
+    this._record('decision', { decision: 'exit-page-loop', reason: `${(err && err.message) || err}` });
+    this._exitPageLoop()
+    .then(() => {
+      this._programPromise.reject(err);
+    });
+  }
+
+  /**
+   * Run a programming session: load the program, then send it to the nodes.
+   * The session state is reset first, so the same instance can program again once it's done.
+   *
+   * @param {Function} load Called with a node-style callback, to get the program file contents
+   *                      (a Buffer, or the `flash` and `eeprom` Buffers)
+   * @param {Object} options Programming options, see `programBuffer()`
+   *
+   * @returns {Promise}
+   */
+  _runSession(load, options) {
+    const abortSignal = options.abortSignal;
+
+    if (this.active) {
+      return Promise.reject(new errors.SessionActiveError(`Cannot start programming while the bootloader is ${this._state}`));
+    }
+    if (abortSignal && abortSignal.aborted) {
+      return Promise.reject(new errors.AbortError(abortReason(abortSignal)));
+    }
+
+    // Reset the session
+    this._pages = [];
     this._currentPage = -1;
+    this._programTries = 0;
+    this._errorAtPage = -1;
+    this._verifyError = null;
+    this._passPages = [];
+    this._passIndex = 0;
+    this._failedPages = [];
+    this._retry = createRetryStrategy(this._opt.retryStrategy, this._opt);
+    this._pacing = createPacing(this._opt);
+    this._startTime = 0;
+    this._bytesSent = 0;
+    this._report = null;
+    this._pass = 0;
+    this._pagesSent = 0;
+    this._totalBytes = 0;
+    this._sendStartTime = 0;
+    this._lastPageTime = 0;
+    this._imageCrc = 0;
+    this._aborted = false;
+    this._activeTargets = this._targets;
+    this._skippedNodes = [];
+    this._foundNodes = null;
+    this._sessionTargets = null;
+    this._readBackNodes = null;
+    this._readBackDone = false;
+    this._readBackError = null;
+    this._verifyAttempts = 0;
+    this._verification = (this._opt.verify) ? {} : null;
+    this._record('session', { options: sessionOptions(this._opt) });
+    this._setState(STATE.LOADING);
+
+    const onAbort = () => this.abort(abortReason(abortSignal));
+    if (abortSignal) {
+      abortSignal.addEventListener('abort', onAbort);
+    }
+    const endSession = (state) => {
+      this._clearTimers();
+      closeSignal(this._signal);
+      if (abortSignal) {
+        abortSignal.removeEventListener('abort', onAbort);
+      }
+      this._setState(state);
+    };
 
     return new Promise((resolve, reject) => {
       this._programPromise = {
@@ -143,42 +826,257 @@ class MultiBootloader extends EventEmitter {
         reject,
       };
 
-      // Read file
-      fs.readFile(filepath, (err, hexContent) => {
+      load((err, content) => {
         if (err) {
-          reject(err);
-          return;
+          reject(this._error(errors.ImageReadError, `Could not read the program (${err})`, { cause: err }));
+        } else if (!this._aborted) {
+          const image = (Buffer.isBuffer(content)) ? { flash: content } : content;
+          const entry = {
+            format: options.format || null,
+            filepath: options.filepath || null,
+            data: image.flash.toString('hex'),
+          };
+          if (image.eeprom) {
+            entry.eepromFilepath = options.eepromFilepath || null;
+            entry.eeprom = image.eeprom.toString('hex');
+          }
+          this._record('image', entry);
+          this._loadProgram(image, options);
         }
+      });
+    })
+    .then((result) => {
+      endSession(STATE.DONE);
+      this._record('result', { ok: true });
+      return result;
+    }, (err) => {
+      endSession(STATE.FAILED);
+      this._record('result', { ok: false, code: (err && err.code) || null, message: `${(err && err.message) || err}` });
+      throw err;
+    });
+  }
 
-        // Convert from intel hex format
-        let content;
-        try {
-          content = intelHex.parse(hexContent).data;
-        } catch (e) {
-          reject(`Could not parse file. Is it a Intel Hex formatted file? (${e})`)
-          return;
-        }
-        if (!content) {
-          reject(`There was a problem parsing the hex file ${filepath}`)
-        }
+  /**
+   * Parse the program file into pages, choose the nodes to program,
+   * and wait for them to be ready.
+   *
+   * @param {Object} image The `flash` program file contents, and the `eeprom` file contents if there is one
+   * @param {Object} options Programming options, see `programBuffer()`
+   */
+  _loadProgram(image, options) {
+    const filepath = options.filepath;
+    const reject = this._programPromise.reject;
 
-        // Break up content by pages
-        for (let i = 0; i < content.length; i += this._opt.pageSize) {
-          const pageData = content.slice(i, i + this._opt.pageSize);
-          this._pages.push(pageData);
-        }
+    // Convert from the firmware file format
+    let firmware;
+    try {
+      firmware = parseFirmware(image.flash, {
+        filepath,
+        format: options.format,
+      });
+    } catch (e) {
+      reject(this._error(errors.ImageParseError, `Could not parse file. Is it a ${options.format || 'supported'} firmware file? (${e})`, { cause: e }));
+      return;
+    }
+    if (!firmware.bytes) {
+      reject(this._error(errors.ImageParseError, `There was a problem parsing the ${firmware.format} file ${filepath || ''}`.trim()));
+      return;
+    }
+
+    // Break up content by flash pages
+    const pages = buildPages(firmware.segments, this._opt.pageSize, {
+      skipBlankPages: this._opt.skipBlankPages,
+    })
+    .map(page => Object.assign(page, { memory: MEMORY_FLASH }));
+
+    // Can all the page numbers be sent with this protocol version
+    const protocol = this._opt.protocolVersion;
+    const maxPageNum = Math.pow(256, PAGE_NUM_SIZE[protocol]) - 1;
+    const lastPage = pages[pages.length - 1];
+    if (lastPage && lastPage.number > maxPageNum) {
+      const upgrade = (protocol < 2) ? ' Use protocol version 2 for larger images.' : '';
+      reject(this._error(errors.ImageSizeError, `The program is too large for protocol version ${protocol}: it needs page ${lastPage.number}, but the highest page number is ${maxPageNum}.${upgrade}`));
+      return;
+    }
+
+    // Does it fit in flash
+    if (lastPage && this._mcu && lastPage.address + lastPage.data.length > this._mcu.flashSize) {
+      reject(this._error(errors.ImageSizeError, `The program is too large for the ${this._mcu.name}: it ends at address ${lastPage.address + lastPage.data.length}, but flash is ${this._mcu.flashSize} bytes.`));
+      return;
+    }
+
+    // CRC of all the flash page data, in the order it's sent
+    this._imageCrc = pages.reduce((crc, page) => crc32(page.data, crc), 0);
+    this._pages = pages;
 
-        this._emit('status', `Program file read: ${this._pages.length} pages (${content.length} bytes)`);
+    this._emit('status', `Program file read (${firmware.format}): ${pages.length} pages (${firmware.bytes} bytes)`);
+
+    // The EEPROM pages are sent after the flash pages
+    if (image.eeprom) {
+      const eepromPages = this._loadEeprom(image.eeprom, options);
+      if (!eepromPages) {
+        return;
+      }
+      this._pages = pages.concat(eepromPages);
+    }
+
+    // (i.e. every page is blank, with skipBlankPages)
+    if (!this._pages.length) {
+      reject(this._error(errors.ImageParseError, 'There is nothing to program: every page of the program is blank, so no pages would be sent.'));
+      return;
+    }
 
-        // Wait for signal line to be enabled, then start message
-        this._untilSignal(true)
-        .then(() => {
-          this._sendStartMessage();
-        })
-        .catch((err) => {
-          reject(`ERROR: Could not establish a ready connection with the first device (${err})`);
-        });
+    // Find out which nodes need to be programmed
+    this._selectNodes()
+    .then((needsProgramming) => {
+      if (this._aborted) {
+        return;
+      }
+      if (!needsProgramming) {
+        const ver = this._opt.version;
+        this._record('decision', { decision: 'nothing-to-program' });
+        this._emit('status', `All nodes already have version ${ver.major}.${ver.minor} or newer. Nothing to program.`);
+        this._programPromise.resolve();
+        return;
+      }
+
+      // Wait for signal line to be enabled, then start message
+      this._setState(STATE.WAITING_READY);
+      this._untilSignal(true)
+      .then(() => {
+        this._sendStartMessage();
+      })
+      .catch((err) => {
+        reject(this._error(errors.SignalTimeoutError, `ERROR: Could not establish a ready connection with the first device (${err})`, { cause: err }));
       });
+    })
+    .catch((err) => {
+      // (releasing the skipped nodes can fail to write to the bus)
+      if (err instanceof errors.SerialWriteError) {
+        reject(err);
+        return;
+      }
+      reject(this._error(errors.DiscoveryError, `ERROR: Could not get the program versions from the nodes (${err})`, { cause: err }));
+    });
+  }
+
+  /**
+   * Parse the EEPROM file into EEPROM pages, which are numbered from the start of the EEPROM.
+   * Rejects the programming promise if the file can't be parsed or is too large.
+   *
+   * @param {Buffer} buffer The EEPROM file contents (usually an Intel Hex .eep file)
+   * @param {Object} options Programming options, see `programBuffer()`
+   *
+   * @returns {Array} The EEPROM pages, or null if there was an error
+   */
+  _loadEeprom(buffer, options) {
+    const reject = this._programPromise.reject;
+
+    let firmware;
+    try {
+      firmware = parseFirmware(buffer, { filepath: options.eepromFilepath, memory: 'eeprom' });
+    } catch (e) {
+      reject(this._error(errors.ImageParseError, `Could not parse the EEPROM file. Is it an Intel Hex (.eep) file? (${e})`, { cause: e }));
+      return null;
+    }
+
+    const pages = buildPages(firmware.segments, this._opt.eepromPageSize)
+    .map(page => Object.assign(page, { memory: MEMORY_EEPROM }));
+
+    // Does it fit in the EEPROM, and can its addresses be sent
+    const lastPage = pages[pages.length - 1];
+    const end = (lastPage) ? lastPage.address + lastPage.data.length : 0;
+    const maxSize = (this._mcu) ? this._mcu.eepromSize : Math.pow(256, EEPROM_ADDRESS_SIZE);
+    if (end > maxSize) {
+      const part = (this._mcu) ? `the ${this._mcu.name}` : 'the bootloader protocol';
+      reject(this._error(errors.ImageSizeError, `The EEPROM file is too large for ${part}: it ends at address ${end}, but the EEPROM is ${maxSize} bytes.`));
+      return null;
+    }
+
+    this._emit('status', `EEPROM file read (${firmware.format}): ${pages.length} pages (${firmware.bytes} bytes)`);
+    return pages;
+  }
+
+  /**
+   * Choose the nodes to program this session.
+   * With the `onlyIfNewer` option, this asks each node for its installed program version,
+   * and leaves out the nodes that already have this version or newer.
+   * With the `verify` option and no `targets`, this finds the nodes on the bus, to verify them later.
+   *
+   * @returns {Promise} Resolves with `false` if there's nothing to program.
+   */
+  _selectNodes() {
+    const findNodes = this._opt.verify && !this._targets;
+    if (!this._opt.onlyIfNewer && !findNodes) {
+      return Promise.resolve(true);
+    }
+
+    const target = this._opt.version;
+    const isCurrent = ver => (ver.major > target.major) || (ver.major === target.major && ver.minor >= target.minor);
+
+    this._emit('status', (this._opt.onlyIfNewer) ? 'Checking installed program versions' : 'Finding the nodes to verify');
+    return discover(this._disco, { nodes: this._targets })
+    .then((nodes) => {
+      this._foundNodes = nodes.map(node => node.address);
+      if (!this._opt.onlyIfNewer) {
+        return true;
+      }
+
+      const current = nodes.filter(node => isCurrent(node.appVersion)).map(node => node.address);
+      if (!current.length) {
+        return true;
+      }
+
+      // Address the nodes that need the update (including any that did not respond)
+      const addresses = this._targets || nodes.map(node => node.address);
+      this._skippedNodes = current;
+      this._activeTargets = addresses.filter(addr => current.indexOf(addr) === -1);
+      this._record('decision', { decision: 'skip-nodes', nodes: current });
+
+      this._emit('status', `Skipping nodes ${formatNodeList(current)}, they already have version ${target.major}.${target.minor} or newer.`);
+      return this._releaseNodes(current)
+      .then(() => this._activeTargets.length > 0);
+    });
+  }
+
+  /**
+   * Send MSG_END to nodes that are waiting in the bootloader but won't be programmed,
+   * so they go back to their application and stop holding the signal line.
+   *
+   * @param {Array} addresses The node addresses
+   *
+   * @returns {Promise}
+   */
+  _releaseNodes(addresses) {
+    const release = () => addresses.reduce(
+      (prev, address) => prev.then(() => this._sendMessage(MSG_END, [], address)),
+      Promise.resolve()
+    );
+
+    // Send twice, for good measure
+    this._record('decision', { decision: 'release-nodes', nodes: addresses });
+    return release().then(release);
+  }
+
+  /**
+   * Move the programming session to a new state, and emit the `state` event.
+   *
+   * @param {String} state The new state (one of `MultiBootloader.STATE`)
+   */
+  _setState(state) {
+    const previous = this._state;
+    if (state === previous) {
+      return;
+    }
+    if (TRANSITIONS[previous].indexOf(state) === -1) {
+      throw new Error(`Invalid programming state change, from ${previous} to ${state}`);
+    }
+
+    this._state = state;
+    this._record('state', { state });
+    this.emit('state', {
+      state,
+      previous,
     });
   }
 
@@ -187,168 +1085,465 @@ class MultiBootloader extends EventEmitter {
    *
    * @param {String} type The type of even to emit.
    * @param {String} message The message to send out
+   * @param {BootloaderError} error (optional) The error, for error events
    */
-  _emit(type, message) {
-    this.emit(type, {
+  _emit(type, message, error) {
+    const event = {
       message,
       pages: this._pages.length,
       currentPage: this._currentPage,
       errorAtPage: this._errorAtPage,
       retries: this._programTries,
-    });
+    };
+    if (error) {
+      event.error = error;
+    }
+    this.emit(type, event);
+  }
+
+  /**
+   * Add an entry to the capture, if there's a recorder.
+   *
+   * @param {String} type The entry type (see `Recorder`)
+   * @param {Object} fields The entry fields
+   */
+  _record(type, fields) {
+    if (this._opt && this._opt.recorder) {
+      this._opt.recorder.record(type, fields);
+    }
+  }
+
+  /**
+   * Create an error, with the page and retries of the programming session.
+   *
+   * @param {Function} ErrorClass The error class (see errors.js)
+   * @param {String} message The error message
+   * @param {Object} details (optional) Error details, like the `cause`
+   *
+   * @returns {BootloaderError}
+   */
+  _error(ErrorClass, message, details = {}) {
+    return new ErrorClass(message, Object.assign({
+      page: this._currentPage,
+      retries: this._programTries,
+    }, details));
   }
 
   /**
    * Send the start message and wait for signal line to become disabled
    */
   _sendStartMessage() {
-    this._disco.startMessage(MSG_START, 2)
-      .sendData([
-        this._opt.version.major,
-        this._opt.version.minor,
-      ])
-      .endMessage()
-      .subscribe(
-        // Error
-        (err) => {
-          this._programPromise.reject(`Error writing to serial device: ${err}`);
-        },
-        null,
-        // Complete, now wait for the signal line to be disabled
-        () => {
-          this._untilSignal(false)
-          .then(() => {
-            this._currentPage++;
-            this._sendPageNumber();
-          })
-          .catch(() => {
-            this._programPromise.reject('[POST-START] Timed out waiting for devices to be ready. (i.e. signal line disabled)');
-          });
+    if (this._aborted) {
+      return;
+    }
+    this._setState(STATE.STARTING);
+    this._startTime = Date.now();
+    const data = [
+      this._opt.version.major,
+      this._opt.version.minor,
+    ];
+
+    // Option flags
+    let flags = 0;
+    if (this._opt.crc) {
+      flags |= START_FLAG_CRC; // eslint-disable-line no-bitwise
+    }
+
+    // Version 1 nodes only expect the program version, unless there are flags to send
+    if (this._opt.protocolVersion > 1 || flags) {
+      data.push(this._opt.protocolVersion);
+    }
+    if (flags) {
+      data.push(flags);
+    }
+
+    this._sendToTargets(MSG_START, data)
+
+    // Now wait for the signal line to be disabled
+    .then(() => this._untilSignal(false)
+      .catch((err) => {
+        if (err instanceof errors.SignalTimeoutError) {
+          throw this._error(errors.SignalTimeoutError, '[POST-START] Timed out waiting for devices to be ready. (i.e. signal line disabled)', { cause: err });
         }
-      );
+        throw err;
+      }))
+    .then(() => {
+      this._startPass(this._pages.map((page, i) => i));
+    })
+    .catch((err) => {
+      this._fail(err);
+    });
   }
 
   /**
-   * Send the number of the upcoming page number
+   * Send the number of the upcoming page number.
+   * Protocol version 2 sends it as a 16-bit number, most significant byte first.
+   * EEPROM pages send their EEPROM address instead, with MSG_EEPROM_ADDRESS.
    */
   _sendPageNumber() {
-    this._disco.startMessage(MSG_PAGE_NUM, 1)
-      .sendData([this._currentPage])
-      .endMessage()
-      .subscribe(
-        (err) => {
-          this._programPromise.reject(`Error writing to serial device: ${err}`);
-        },
-        null,
-        () => this._sendNextPage()
-      );
+    if (this._aborted) {
+      return;
+    }
+    this._setState(STATE.SENDING);
+    const page = this._pages[this._currentPage];
+    let sending;
+    if (page.memory === MEMORY_EEPROM) {
+      sending = this._sendToTargets(MSG_EEPROM_ADDRESS, toBytes(page.address, EEPROM_ADDRESS_SIZE));
+    } else {
+      sending = this._sendToTargets(MSG_PAGE_NUM, toBytes(page.number, PAGE_NUM_SIZE[this._opt.protocolVersion]));
+    }
+
+    sending
+    .then(() => this._sendNextPage())
+    .catch((err) => {
+      this._fail(err);
+    });
   }
 
   /**
-   * Write the next page of data to the devices
+   * Write the next page of data to the devices.
+   * In CRC mode, the page is followed by its CRC-16 (high byte first).
    */
   _sendNextPage() {
-    const page = this._pages[this._currentPage];
+    if (this._aborted) {
+      return;
+    }
+    this._setState(STATE.SENDING);
+    let page = this._pages[this._currentPage].data;
+    if (this._opt.crc) {
+      page = Buffer.concat([page, Buffer.from(toBytes(crc16(page), 2))]);
+    }
 
     this._emit('status', `Sending page ${this._currentPage + 1} of ${this._pages.length}.`);
 
     // Send and pause before next page
-    this._disco.startMessage(MSG_PAGE_DATA, page.length)
-      .sendData(page)
-      .endMessage()
-      .subscribe(
-        (err) => {
-          this._programPromise.reject(`Error writing to serial device: ${err}`);
-        },
-        null,
-        () => {
-          setTimeout(() => {
-            onToTheNextPage.bind(this)();
-          }, this._opt.timeBetweenPages);
-        }
-      );
+    this._sendToTargets(MSG_PAGE_DATA, page)
+    .then(() => {
+      this._bytesSent += this._pages[this._currentPage].data.length;
+      this._pagesSent++;
+      this._emitProgress(this._pages[this._currentPage].data.length);
+      this._setTimer(() => {
+        onToTheNextPage.bind(this)();
+      }, this._pacing.delay);
+    })
+    .catch((err) => {
+      this._fail(err);
+    });
 
 
     // Send the next page
     function onToTheNextPage() {
+      this._setState(STATE.VERIFYING);
 
-      // Signal timeout counter
-      const signalTimeout = setTimeout(() => {
-        this._emit('error', 'Timed out waiting for signal line to confirm previous page.');
-        this._finish();
-      }, SIGNAL_TIMEOUT)
+      // Signal timeout counter: the rest of the pages can't be sent, so programming fails
+      let timedOut = false;
+      const signalTimeout = this._setTimer(() => {
+        timedOut = true;
+        this._record('decision', { decision: 'page-timeout', page: this._currentPage });
+        this._fail(this._error(errors.SignalTimeoutError, 'Timed out waiting for signal line to confirm previous page.'));
+      }, this._opt.signalTimeout);
 
       // Check signal line for error (it not already raised)
       this.readSignalLine()
       .then((enabled) => {
-        clearTimeout(signalTimeout);
+        this._clearTimer(signalTimeout);
+        if (timedOut || this._aborted || this._state !== STATE.VERIFYING) {
+          return;
+        }
 
-        if (enabled === true && this._errorAtPage < 0) {
-          this._errorAtPage = this._currentPage;
-          this._emit('error', `A node reported an error verifying page ${this._errorAtPage}.`);
+        if (enabled === true) {
+          this._flagPage(this._currentPage);
+          this._pacing.pageFailed();
+          this._record('decision', { decision: 'page-failed', page: this._currentPage, delay: this._pacing.delay });
+        } else {
+          this._pacing.pageVerified();
+          this._record('decision', { decision: 'page-verified', page: this._currentPage, delay: this._pacing.delay });
         }
 
-        // Have we sent all pages
-        if (this._currentPage + 1 >= this._pages.length) {
-
-          // Retry
-          if (this._errorAtPage > -1) {
-            this._programTries++;
-
-            if (this._programTries < this._opt.maxTries) {
-              this._currentPage = this._errorAtPage - 1;
-              this._errorAtPage = -1;
-
-              // If we've already retried, start at the top.
-              if (this._programTries > 1) {
-                this._currentPage = 0;
-              }
-              else if (this._currentPage < 0) {
-                this._currentPage++;
-              }
-
-              this._sendNextPage();
-            }
-            else {
-              return this._programPromise.reject('Max programming retries attempted.');
-            }
-          }
-          // Finish
-          else {
-            this._finish();
-          }
+        // Send the next page of this pass
+        if (this._passIndex + 1 < this._passPages.length) {
+          this._passIndex++;
+          this._currentPage = this._passPages[this._passIndex];
+          this._sendPageNumber();
         }
-        // Send next page
+        // Resend the pages that failed
+        else if (this._failedPages.length) {
+          this._retryPages();
+        }
+        // Finish
         else {
-          this._currentPage++;
-          this._sendPageNumber();
+          this._finish();
         }
       });
     }
   }
 
   /**
-   * Finish up programming by sending the end message
+   * Start a programming pass, which sends each of these pages.
+   *
+   * @param {Array} pages The indexes of the pages to send
+   */
+  _startPass(pages) {
+    this._passPages = pages;
+    this._passIndex = 0;
+    this._failedPages = [];
+    this._errorAtPage = -1;
+    this._pass++;
+    this._totalBytes += pages.reduce((total, i) => total + this._pages[i].data.length, 0);
+
+    if (this._pass === 1) {
+      this._sendStartTime = Date.now();
+      this._lastPageTime = this._sendStartTime;
+    }
+
+    this._currentPage = pages[0];
+    this._sendPageNumber();
+  }
+
+  /**
+   * Record that a node reported an error verifying a page in this pass.
+   *
+   * @param {int} index The page index
+   */
+  _flagPage(index) {
+    const message = `A node reported an error verifying page ${index}.`;
+    const error = this._error(errors.NodeVerifyError, message, { page: index });
+
+    this._failedPages.push(index);
+    if (this._errorAtPage < 0) {
+      this._errorAtPage = index;
+      this._verifyError = error;
+    }
+    this._emit('error', message, error);
+  }
+
+  /**
+   * Ask the retry strategy which pages to resend after a pass with errors, and start the next pass.
+   * Fails when the strategy gives up.
+   */
+  _retryPages() {
+    this._programTries++;
+    this._setState(STATE.RETRYING);
+
+    const pages = this._retry.nextPass(this._failedPages, this._pages.length);
+    if (!pages || !pages.length) {
+      this._record('decision', { decision: 'give-up', failed: this._failedPages });
+      this._fail(this._error(errors.MaxRetriesError, 'Max programming retries attempted.', {
+        page: this._verifyError.page,
+        cause: this._verifyError,
+      }));
+      return;
+    }
+
+    this._record('decision', { decision: 'resend', pages });
+    this._emit('status', `Resending ${pages.length} of ${this._pages.length} pages (retry ${this._programTries}).`);
+    this._startPass(pages);
+  }
+
+  /**
+   * Read-back verification, after the last page: ask each node for the checksum of its flash,
+   * and compare it to the image. The nodes that don't match are sent the program again, addressed
+   * to just those nodes, and checked again, up to `verifyRetries` times.
+   */
+  _readBack() {
+    this._setState(STATE.READING_BACK);
+
+    // The first time, check every node in the session
+    if (!this._readBackNodes) {
+      this._sessionTargets = this._activeTargets;
+      this._readBackNodes = this._activeTargets || this._foundNodes || [];
+    }
+    const nodes = this._readBackNodes;
+    if (!nodes.length) {
+      this._fail(this._error(errors.NodeVerifyError, 'No nodes were found to verify, so the program could not be verified.', { page: -1 }));
+      return;
+    }
+    this._emit('status', `Verifying the program on nodes ${formatNodeList(nodes)}`);
+
+    verifyNodes(this._disco, nodes, this._pages, { responseTimeout: this._opt.verifyTimeout })
+    .then((results) => {
+      if (this._aborted) {
+        return;
+      }
+
+      results.forEach((result) => {
+        this._verification[result.address] = result;
+      });
+      const passed = results.filter(result => result.ok).map(result => result.address);
+      const failed = results.filter(result => !result.ok).map(result => result.address);
+      this._record('decision', { decision: 'read-back', failed });
+      this.emit('verify', {
+        attempt: this._verifyAttempts + 1,
+        nodes: results,
+        passed,
+        failed,
+      });
+
+      // Reprogram the nodes that failed
+      const retries = (typeof this._opt.verifyRetries === 'number') ? this._opt.verifyRetries : VERIFY_RETRIES;
+      if (failed.length && this._verifyAttempts < retries) {
+        this._verifyAttempts++;
+        this._readBackNodes = failed;
+        this._activeTargets = failed;
+        this._record('decision', { decision: 'reprogram', nodes: failed });
+        this._emit('status', `Reprogramming nodes ${formatNodeList(failed)}, which did not match the program`);
+
+        // The reprogramming pass gets its own retries
+        this._retry = createRetryStrategy(this._opt.retryStrategy, this._opt);
+        this._programTries = 0;
+        this._startPass(this._pages.map((page, i) => i));
+        return;
+      }
+
+      // End programming on all the nodes
+      if (failed.length) {
+        const message = `Nodes ${formatNodeList(failed)} did not match the program (reprogrammed ${this._verifyAttempts} times)`;
+        this._readBackError = this._error(errors.NodeVerifyError, message, { page: -1 });
+        this._emit('error', message, this._readBackError);
+      }
+      this._readBackDone = true;
+      this._activeTargets = this._sessionTargets;
+      this._finish();
+    })
+    .catch((err) => {
+      this._fail(err);
+    });
+  }
+
+  /**
+   * Finish up programming by sending the end message.
+   * In CRC mode, this contains the CRC-32 of the entire image (high byte first).
+   * With the `verify` option, the nodes are verified first.
    */
   _finish() {
+    if (this._aborted) {
+      return;
+    }
+    if (this._opt.verify && !this._readBackDone) {
+      this._readBack();
+      return;
+    }
+    this._setState(STATE.FINISHING);
+    const data = (this._opt.crc) ? toBytes(this._imageCrc, 4) : [];
 
     // Send twice, for good measure
-    for (let i = 0; i < 2; i++) {
-      this._disco.startMessage(MSG_END, 0)
-        .endMessage()
+    this._sendToTargets(MSG_END, data)
+    .then(() => this._sendToTargets(MSG_END, data))
+    .then(() => {
+      this._report = this._sessionReport();
+      this._emit('status', 'Finished programming');
+      this.emit('report', this._report);
+      if (this._readBackError) {
+        this._programPromise.reject(this._readBackError);
+      } else {
+        this._programPromise.resolve();
+      }
+    })
+    .catch((err) => {
+      this._programPromise.reject(err);
+    });
+  }
+
+  /**
+   * Emit the `progress` event, after a page has been sent.
+   *
+   * @param {int} pageBytes The number of bytes in the page that was just sent
+   */
+  _emitProgress(pageBytes) {
+    const now = Date.now();
+    const rate = (bytes, time) => Math.round((bytes * 1000) / Math.max(time, 1));
+    const averageBytesPerSecond = rate(this._bytesSent, now - this._sendStartTime);
+    const remaining = this._totalBytes - this._bytesSent;
+
+    this.emit('progress', {
+      bytesSent: this._bytesSent,
+      totalBytes: this._totalBytes,
+      pagesSent: this._pagesSent,
+      totalPages: this._pages.length,
+      pass: this._pass,
+      percent: (this._totalBytes) ? this._bytesSent / this._totalBytes : 1,
+      bytesPerSecond: rate(pageBytes, now - this._lastPageTime),
+      averageBytesPerSecond,
+      eta: (averageBytesPerSecond) ? Math.round((remaining * 1000) / averageBytesPerSecond) : null,
+    });
+    this._lastPageTime = now;
+  }
+
+  /**
+   * Summarize the programming session.
+   *
+   * @returns {Object}
+   */
+  _sessionReport() {
+    const duration = Date.now() - this._startTime;
+    const bytes = this._pages.reduce((total, page) => total + page.data.length, 0);
+    const eepromPages = this._pages.filter(page => page.memory === MEMORY_EEPROM);
+
+    return {
+      pages: this._pages.length,
+      bytes,
+      bytesSent: this._bytesSent,
+      retries: this._programTries,
+      duration,
+      bytesPerSecond: Math.round((bytes * 1000) / Math.max(duration, 1)),
+      timeBetweenPages: this._pacing.delay,
+      verification: this.verification,
+      eeprom: (eepromPages.length) ? {
+        pages: eepromPages.length,
+        bytes: eepromPages.reduce((total, page) => total + page.data.length, 0),
+      } : null,
+    };
+  }
+
+  /**
+   * Send a message to all the target nodes.
+   * If no targets were set, the message is broadcast to the entire bus, otherwise
+   * it's sent to each target node address, one after the other.
+   *
+   * @param {int} command The message command
+   * @param {Array|Buffer} data The message data
+   *
+   * @returns {Promise}
+   */
+  _sendToTargets(command, data) {
+    if (!this._activeTargets) {
+      return this._sendMessage(command, data);
+    }
+    return this._activeTargets.reduce(
+      (prev, address) => prev.then(() => this._sendMessage(command, data, address)),
+      Promise.resolve()
+    );
+  }
+
+  /**
+   * Send a single message on the bus.
+   *
+   * @param {int} command The message command
+   * @param {Array|Buffer} data The message data
+   * @param {int} destination (optional) The node address to send to (broadcast if not set)
+   *
+   * @returns {Promise}
+   */
+  _sendMessage(command, data, destination) {
+    return new Promise((resolve, reject) => {
+      const options = {};
+      if (destination) {
+        options.destination = destination;
+      }
+
+      this._disco.startMessage(command, data.length, options);
+      if (data.length) {
+        this._disco.sendData(data);
+      }
+      this._disco.endMessage()
         .subscribe(
           (err) => {
-            this._programPromise.reject(`Error writing to serial device: ${err}`);
+            reject(this._error(errors.SerialWriteError, `Error writing to serial device: ${err}`, { cause: err }));
           },
           null,
-          () => {
-            if (i === 1) {
-              this._emit('status', 'Finished programming');
-              this._programPromise.resolve();
-            }
-          }
+          () => resolve()
         );
-    }
+    });
   }
 
   /**
@@ -356,6 +1551,7 @@ class MultiBootloader extends EventEmitter {
    * execute the callback function.
    *
    * If it takes more than `signalTimeout`, it will end in error.
+   * When there is no signal line, this waits `readyDelay` instead.
    *
    * @param {boolean} target The target signal line value
    * @param {Function} callback
@@ -365,21 +1561,32 @@ class MultiBootloader extends EventEmitter {
     let tries = 0;
     let time = 0;
 
+    // No signal line, just wait
+    if (this._signal.timingOnly) {
+      return new Promise((resolve) => {
+        this._setTimer(resolve, this._opt.readyDelay);
+      });
+    }
+
     const checkSignal = (resolve, reject) => {
       time = tries * delay;
       tries++;
 
       this.readSignalLine()
       .then((enabled) => {
-        if (enabled === target) {
+        if (this._aborted) {
+          reject(this._error(errors.AbortError));
+        }
+        else if (enabled === target) {
           resolve();
         }
         else if (time < this._opt.signalTimeout) {
-          setTimeout(() => {
+          this._setTimer(() => {
             checkSignal(resolve, reject);
           }, delay);
         } else {
-          reject('timed out');
+          this._record('decision', { decision: 'signal-timeout', waitingFor: target });
+          reject(this._error(errors.SignalTimeoutError, 'timed out'));
         }
       })
       .catch((err) => {
@@ -392,6 +1599,90 @@ class MultiBootloader extends EventEmitter {
     });
 
   }
+
+  /**
+   * Run a function after a delay, like `setTimeout()`.
+   * The timer is tracked, so it can be cleared when programming is aborted or ends.
+   *
+   * @param {Function} callback
+   * @param {int} delay Milliseconds to wait
+   *
+   * @returns {Object} The timer
+   */
+  _setTimer(callback, delay) {
+    const timer = setTimeout(() => {
+      this._clearTimer(timer);
+      callback();
+    }, delay);
+    this._timers.push(timer);
+    return timer;
+  }
+
+  /**
+   * Clear a timer started with `_setTimer()`.
+   *
+   * @param {Object} timer
+   */
+  _clearTimer(timer) {
+    clearTimeout(timer);
+    this._timers = this._timers.filter(t => t !== timer);
+  }
+
+  /**
+   * Clear all pending timers.
+   */
+  _clearTimers() {
+    this._timers.forEach(timer => clearTimeout(timer));
+    this._timers = [];
+  }
+}
+
+/**
+ * Get the baud rate of an open serial port.
+ *
+ * @param {SerialPort} serial
+ *
+ * @returns {int} The baud rate, or undefined if it's not known.
+ */
+function serialBaudRate(serial) {
+  if (!serial) {
+    return undefined;
+  }
+  return serial.baudRate || (serial.options && serial.options.baudRate) || undefined;
 }
 
+/**
+ * Get the abort reason from an `AbortSignal`, as a string.
+ *
+ * @param {AbortSignal} signal
+ *
+ * @returns {String} The reason, or undefined if there isn't one.
+ */
+function abortReason(signal) {
+  const reason = signal.reason;
+  if (typeof reason === 'string') {
+    return reason;
+  }
+  return (reason && reason.message) || undefined;
+}
+
+// The programming session states
+MultiBootloader.STATE = STATE;
+
+// A virtual bus of nodes, to use in place of a serial port (see `SimulatedSerialPort`)
+MultiBootloader.SimulatedSerialPort = SimulatedSerialPort;
+
+// Serial ports behind network bridges, to use in place of a local serial port (see `createTransport()`)
+MultiBootloader.TcpTransport = TcpTransport;
+MultiBootloader.Rfc2217Transport = Rfc2217Transport;
+MultiBootloader.createTransport = createTransport;
+
+// Recording programming sessions, to decode or replay them later
+MultiBootloader.Recorder = Recorder;
+
+// The errors programming rejects with (i.e. `MultiBootloader.MaxRetriesError`)
+Object.keys(errors).forEach((name) => {
+  MultiBootloader[name] = errors[name];
+});
+
 module.exports = MultiBootloader;
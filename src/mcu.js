@@ -0,0 +1,105 @@
+/**
+ * A table of common AVR parts that can run a bootloader.
+ *
+ *    - name:       The part name (lower case, like avr-gcc's -mmcu)
+ *    - signature:  The 3 device signature bytes
+ *    - pageSize:   Flash page size, in BYTES
+ *    - flashSize:  Total flash size, in bytes
+ *    - bootSizes:  The boot section sizes that can be selected with the BOOTSZ fuses, in bytes
+ *    - eepromSize: EEPROM size, in bytes
+ */
+export const MCUS = [
+  { name: 'atmega8', signature: [0x1E, 0x93, 0x07], pageSize: 64, flashSize: 8192, bootSizes: [256, 512, 1024, 2048], eepromSize: 512 },
+  { name: 'atmega88', signature: [0x1E, 0x93, 0x0A], pageSize: 64, flashSize: 8192, bootSizes: [256, 512, 1024, 2048], eepromSize: 512 },
+  { name: 'atmega88p', signature: [0x1E, 0x93, 0x0F], pageSize: 64, flashSize: 8192, bootSizes: [256, 512, 1024, 2048], eepromSize: 512 },
+  { name: 'atmega16', signature: [0x1E, 0x94, 0x03], pageSize: 128, flashSize: 16384, bootSizes: [256, 512, 1024, 2048], eepromSize: 512 },
+  { name: 'atmega168', signature: [0x1E, 0x94, 0x06], pageSize: 128, flashSize: 16384, bootSizes: [256, 512, 1024, 2048], eepromSize: 512 },
+  { name: 'atmega168p', signature: [0x1E, 0x94, 0x0B], pageSize: 128, flashSize: 16384, bootSizes: [256, 512, 1024, 2048], eepromSize: 512 },
+  { name: 'atmega164p', signature: [0x1E, 0x94, 0x0A], pageSize: 128, flashSize: 16384, bootSizes: [256, 512, 1024, 2048], eepromSize: 512 },
+  { name: 'atmega16u4', signature: [0x1E, 0x94, 0x88], pageSize: 128, flashSize: 16384, bootSizes: [512, 1024, 2048, 4096], eepromSize: 512 },
+  { name: 'atmega32', signature: [0x1E, 0x95, 0x02], pageSize: 128, flashSize: 32768, bootSizes: [512, 1024, 2048, 4096], eepromSize: 1024 },
+  { name: 'atmega328', signature: [0x1E, 0x95, 0x14], pageSize: 128, flashSize: 32768, bootSizes: [512, 1024, 2048, 4096], eepromSize: 1024 },
+  { name: 'atmega328p', signature: [0x1E, 0x95, 0x0F], pageSize: 128, flashSize: 32768, bootSizes: [512, 1024, 2048, 4096], eepromSize: 1024 },
+  { name: 'atmega328pb', signature: [0x1E, 0x95, 0x16], pageSize: 128, flashSize: 32768, bootSizes: [512, 1024, 2048, 4096], eepromSize: 1024 },
+  { name: 'atmega324p', signature: [0x1E, 0x95, 0x08], pageSize: 128, flashSize: 32768, bootSizes: [512, 1024, 2048, 4096], eepromSize: 1024 },
+  { name: 'atmega324pa', signature: [0x1E, 0x95, 0x11], pageSize: 128, flashSize: 32768, bootSizes: [512, 1024, 2048, 4096], eepromSize: 1024 },
+  { name: 'atmega32u4', signature: [0x1E, 0x95, 0x87], pageSize: 128, flashSize: 32768, bootSizes: [512, 1024, 2048, 4096], eepromSize: 1024 },
+  { name: 'atmega640', signature: [0x1E, 0x96, 0x08], pageSize: 256, flashSize: 65536, bootSizes: [1024, 2048, 4096, 8192], eepromSize: 4096 },
+  { name: 'atmega644p', signature: [0x1E, 0x96, 0x0A], pageSize: 256, flashSize: 65536, bootSizes: [1024, 2048, 4096, 8192], eepromSize: 2048 },
+  { name: 'atmega1280', signature: [0x1E, 0x97, 0x03], pageSize: 256, flashSize: 131072, bootSizes: [1024, 2048, 4096, 8192], eepromSize: 4096 },
+  { name: 'atmega1281', signature: [0x1E, 0x97, 0x04], pageSize: 256, flashSize: 131072, bootSizes: [1024, 2048, 4096, 8192], eepromSize: 4096 },
+  { name: 'atmega1284p', signature: [0x1E, 0x97, 0x05], pageSize: 256, flashSize: 131072, bootSizes: [1024, 2048, 4096, 8192], eepromSize: 4096 },
+  { name: 'atmega2560', signature: [0x1E, 0x98, 0x01], pageSize: 256, flashSize: 262144, bootSizes: [1024, 2048, 4096, 8192], eepromSize: 4096 },
+  { name: 'atmega2561', signature: [0x1E, 0x98, 0x02], pageSize: 256, flashSize: 262144, bootSizes: [1024, 2048, 4096, 8192], eepromSize: 4096 },
+];
+
+/**
+ * Find a part by name (case insensitive, i.e. "ATmega328P").
+ *
+ * @param {String} name The part name
+ *
+ * @returns {Object} The part, or null if it's not in the table
+ */
+export function findMcu(name) {
+  const search = `${name}`.toLowerCase();
+  return MCUS.find(mcu => mcu.name === search) || null;
+}
+
+/**
+ * Find a part by its signature bytes.
+ *
+ * @param {Array} signature The 3 signature bytes
+ *
+ * @returns {Object} The part, or null if it's not in the table
+ */
+export function findMcuBySignature(signature) {
+  return MCUS.find(mcu => mcu.signature.every((b, i) => b === signature[i])) || null;
+}
+
+/**
+ * Format signature bytes as a string, like "0x1E 0x95 0x0F".
+ *
+ * @param {Array} signature The signature bytes
+ *
+ * @returns {String}
+ */
+export function formatSignature(signature) {
+  return signature
+    .map(b => `0x${(`0${b.toString(16).toUpperCase()}`).substr(-2)}`)
+    .join(' ');
+}
+
+/**
+ * Figure out which part is on the bus, from the nodes found with `discover()`.
+ * All the nodes must have the same signature, and it must be in the table.
+ *
+ * @param {Array} nodes The nodes returned by `discover()`
+ *
+ * @returns {Object} The part
+ */
+export function detectMcu(nodes) {
+  if (!nodes.length) {
+    throw new Error('Cannot detect the MCU type: no nodes responded');
+  }
+
+  // Group nodes by signature
+  const bySignature = {};
+  nodes.forEach((node) => {
+    const sig = formatSignature(node.signature);
+    bySignature[sig] = (bySignature[sig] || []).concat(node.address);
+  });
+
+  const signatures = Object.keys(bySignature);
+  if (signatures.length > 1) {
+    const groups = signatures
+      .map(sig => `${sig} (nodes ${bySignature[sig].join(', ')})`)
+      .join('; ');
+    throw new Error(`The nodes have different MCU signatures: ${groups}`);
+  }
+
+  const mcu = findMcuBySignature(nodes[0].signature);
+  if (!mcu) {
+    throw new Error(`Unknown MCU signature ${signatures[0]}. Set the page size instead.`);
+  }
+  return mcu;
+}
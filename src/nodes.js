@@ -0,0 +1,85 @@
+// DiscoBus node addresses are one byte, and address 0 is the broadcast address.
+export const MIN_ADDRESS = 1;
+export const MAX_ADDRESS = 255;
+
+/**
+ * Parse a list of node addresses.
+ *
+ * The list can be a number, a string of comma separated addresses and ranges (`"3-10,14"`),
+ * a `{from, to}` range, or an array of any of those.
+ *
+ * @param {Array|String|int|Object} list The node addresses
+ *
+ * @returns {Array} A sorted list of unique node addresses
+ */
+export function parseNodeList(list) {
+  const addresses = {};
+
+  const addRange = (from, to, source) => {
+    if (isNaN(from) || isNaN(to) || from > to || from < MIN_ADDRESS || to > MAX_ADDRESS) {
+      throw new Error(`Invalid node address or range: '${source}'. Addresses must be from ${MIN_ADDRESS} to ${MAX_ADDRESS}.`);
+    }
+    for (let i = from; i <= to; i++) {
+      addresses[i] = true;
+    }
+  };
+
+  const add = (item) => {
+    if (Array.isArray(item)) {
+      item.forEach(add);
+    }
+    else if (typeof item === 'number') {
+      addRange(item, item, item);
+    }
+    else if (item && typeof item === 'object') {
+      addRange(Number(item.from), Number(item.to), JSON.stringify(item));
+    }
+    else if (typeof item === 'string') {
+      item.split(',')
+        .map(part => part.trim())
+        .filter(part => part.length)
+        .forEach((part) => {
+          const range = part.match(/^(\w+)\s*-\s*(\w+)$/);
+          if (range) {
+            addRange(Number(range[1]), Number(range[2]), part);
+          } else if (/^\w+$/.test(part)) {
+            addRange(Number(part), Number(part), part);
+          } else {
+            addRange(NaN, NaN, part);
+          }
+        });
+    }
+    else {
+      throw new Error(`Invalid node address: '${item}'`);
+    }
+  };
+
+  add(list);
+  return Object.keys(addresses).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Format a list of node addresses into a compact string, like `"3-10,14"`.
+ *
+ * @param {Array} addresses A sorted list of node addresses
+ *
+ * @returns {String}
+ */
+export function formatNodeList(addresses) {
+  const parts = [];
+  let start = null;
+  let prev = null;
+
+  addresses.concat([null]).forEach((addr) => {
+    if (start !== null && addr === prev + 1) {
+      prev = addr;
+      return;
+    }
+    if (start !== null) {
+      parts.push((start === prev) ? `${start}` : `${start}-${prev}`);
+    }
+    start = addr;
+    prev = addr;
+  });
+  return parts.join(',');
+}
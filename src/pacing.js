@@ -0,0 +1,108 @@
+/**
+ * The pacing modes, which choose the pause between page messages.
+ * @type {Array}
+ */
+export const PACING_MODES = ['fixed', 'adaptive'];
+
+// Roughly how long an AVR takes to erase and write a flash page (~4.5ms each), in milliseconds
+const FLASH_WRITE_TIME = 10;
+
+// DiscoBus framing bytes around the page data, and bits on the wire per byte (start + 8 data + stop)
+const FRAME_OVERHEAD = 8;
+const BITS_PER_BYTE = 10;
+
+// How quickly adaptive pacing speeds up after a clean page, and backs off after an error
+const SPEED_UP = 0.9;
+const BACK_OFF = 2;
+
+/**
+ * Estimate how long it takes to send a page and for the nodes to write it to flash.
+ *
+ * @param {int} baudRate The serial baud rate
+ * @param {int} pageSize The page size, in bytes
+ *
+ * @returns {int} Milliseconds
+ */
+export function estimatePageTime(baudRate, pageSize) {
+  const wireTime = ((pageSize + FRAME_OVERHEAD) * BITS_PER_BYTE * 1000) / baudRate;
+  return Math.ceil(wireTime + FLASH_WRITE_TIME);
+}
+
+/**
+ * Shorten the pause between pages while they verify cleanly,
+ * and back off when the nodes report errors.
+ *
+ * Every pacing has a `delay` (the milliseconds to pause after the next page), and is told
+ * whether each page verified with `pageVerified()` or `pageFailed()`.
+ *
+ * @class
+ */
+export class AdaptivePacing {
+
+  /**
+   * @param {int} start The first pause, in milliseconds
+   * @param {int} min The shortest pause
+   * @param {int} max The longest pause
+   */
+  constructor(start, min, max) {
+    this.min = min;
+    this.max = max;
+    this.delay = Math.min(Math.max(start, min), max);
+  }
+
+  pageVerified() {
+    this.delay = Math.max(this.min, Math.floor(this.delay * SPEED_UP));
+  }
+
+  pageFailed() {
+    this.delay = Math.min(this.max, Math.ceil(this.delay * BACK_OFF));
+  }
+}
+
+/**
+ * Always pause the same time between pages.
+ * This is adaptive pacing that can't go shorter or longer than its pause.
+ *
+ * @class
+ */
+export class FixedPacing extends AdaptivePacing {
+
+  /**
+   * @param {int} delay Milliseconds to pause between pages
+   */
+  constructor(delay) {
+    super(delay, delay, delay);
+  }
+}
+
+/**
+ * Create the page pacing from the bootloader options.
+ *
+ * Options
+ * -------
+ *    - pacing:              'fixed' or 'adaptive'
+ *    - timeBetweenPages:    The fixed pause, or the adaptive starting pause if the baud rate is not known
+ *    - baudRate:            The serial baud rate, to estimate the adaptive starting pause
+ *    - pageSize:            The page size, in bytes
+ *    - minTimeBetweenPages: The shortest adaptive pause
+ *    - maxTimeBetweenPages: The longest adaptive pause
+ *
+ * @param {Object} options
+ *
+ * @returns {Object} The pacing
+ */
+export function createPacing(options) {
+  switch (options.pacing) {
+    case 'fixed':
+      return new FixedPacing(options.timeBetweenPages);
+    case 'adaptive': {
+      // Start with twice the estimate, to be safe
+      const start = (options.baudRate)
+        ? estimatePageTime(options.baudRate, options.pageSize) * 2
+        : options.timeBetweenPages;
+      return new AdaptivePacing(start, options.minTimeBetweenPages, options.maxTimeBetweenPages);
+    }
+    default:
+      throw new Error(`Unknown pacing '${options.pacing}'. Use ${PACING_MODES.join(' or ')}.`);
+  }
+}
@@ -0,0 +1,54 @@
+import { EventEmitter } from 'events';
+
+/**
+ * The base of the ports that stand in for a SerialPort: the simulated bus, a capture replay
+ * and the network transports. It has the parts of the SerialPort interface that the bootloader
+ * uses, for a port that buffers nothing and has no modem lines. The subclasses implement `write()`,
+ * set `isOpen` once they're open, and override the rest as they need to.
+ *
+ * @class
+ */
+export default class SerialPortStub extends EventEmitter {
+
+  constructor() {
+    super();
+    this.isOpen = false;
+  }
+
+  /**
+   * Wait for the written data to be sent. Nothing is buffered, so it's done right away.
+   */
+  drain(callback) {
+    this._done(callback);
+  }
+
+  /**
+   * Set the control lines. There are none, so nothing changes.
+   */
+  set(options, callback) {
+    this._done(callback);
+  }
+
+  /**
+   * Get the modem status lines. There are none, so the signal line needs to come from somewhere else.
+   */
+  get(callback) {
+    setImmediate(() => callback(new Error(`The port has no modem lines${(this.isOpen) ? '' : ' (and is not open)'}`)));
+  }
+
+  close(callback) {
+    this.isOpen = false;
+    if (callback) {
+      setImmediate(() => callback(null));
+    }
+  }
+
+  /**
+   * Call the node-style callback, if there is one: with an error if the port is not open.
+   */
+  _done(callback) {
+    if (typeof callback === 'function') {
+      callback((this.isOpen) ? null : new Error('The port is not open'));
+    }
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Bootloader message commands and protocol constants,
+ * shared by everything that talks to the nodes.
+ */
+
+// Programming messages
+export const MSG_START = 0xF1;
+export const MSG_PAGE_NUM = 0xF2;
+export const MSG_PAGE_DATA = 0xF3;
+export const MSG_END = 0xF4;
+
+// Ask a single node for information about itself (response message)
+export const MSG_INFO = 0xF5;
+
+// Abandon the program being received, and leave the page loop without
+// running it (for bootloaders that support it, instead of MSG_END on abort)
+export const MSG_ROLLBACK = 0xF6;
+
+// Ask a single node for the CRC-32 of a range of its flash, after the last page
+// and before MSG_END (response message, for read-back verification)
+export const MSG_CHECKSUM = 0xF7;
+
+// Select the EEPROM address the next MSG_PAGE_DATA is written to, instead of a flash
+// page with MSG_PAGE_NUM (2 bytes, high byte first)
+export const MSG_EEPROM_ADDRESS = 0xF8;
+export const EEPROM_ADDRESS_SIZE = 2;
+
+// The memory spaces that pages are written to
+export const MEMORY_FLASH = 'flash';
+export const MEMORY_EEPROM = 'eeprom';
+
+// The number of bytes in the MSG_PAGE_NUM page number, for each protocol version.
+// Version 1 nodes only understand a single byte page number (max 256 pages).
+export const PAGE_NUM_SIZE = {
+  1: 1,
+  2: 2,
+};
+
+// MSG_START option flags
+export const START_FLAG_CRC = 0x01;
+
+// The MSG_INFO response:
+//   [0-1] bootloader version (major, minor)
+//   [2-3] installed application version (major, minor)
+//   [4-6] MCU signature bytes
+//   [7-8] page size in bytes (high byte first)
+export const INFO_LENGTH = 9;
+
+// The MSG_CHECKSUM request:
+//   [0-3] start address (high byte first)
+//   [4-7] number of bytes (high byte first)
+//   [8]   (optional) the memory space: CHECKSUM_FLASH, or CHECKSUM_EEPROM (flash when it's left out)
+// And its response:
+//   [0-3] CRC-32 of the flash bytes (high byte first)
+export const CHECKSUM_LENGTH = 4;
+export const CHECKSUM_FLASH = 0x00;
+export const CHECKSUM_EEPROM = 0x01;
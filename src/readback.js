@@ -0,0 +1,183 @@
+import { crc32, toBytes } from './crc';
+import { MSG_CHECKSUM, CHECKSUM_LENGTH, CHECKSUM_EEPROM, MEMORY_EEPROM } from './protocol';
+
+const RESPONSE_TIMEOUT = 1000;
+
+/**
+ * Get the ranges of memory an image is written to, and the CRC-32 of each.
+ * Pages that follow each other are one range. The memory between ranges (like skipped blank pages)
+ * is not checked, since nothing says it was erased.
+ *
+ * @param {Array} pages The image's `{address, data}` pages, sorted by address
+ *
+ * @returns {Array} The `address`, `length` and `crc` of each range
+ */
+export function imageRanges(pages) {
+  const ranges = [];
+  pages.forEach((page) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last.address + last.length === page.address) {
+      last.data.push(page.data);
+      last.length += page.data.length;
+    } else {
+      ranges.push({ address: page.address, length: page.data.length, data: [page.data] });
+    }
+  });
+
+  return ranges.map(range => ({
+    address: range.address,
+    length: range.length,
+    crc: crc32(Buffer.concat(range.data)),
+  }));
+}
+
+/**
+ * Combine the CRC-32 of each range into one checksum: the CRC-32 itself for a single range,
+ * or the CRC-32 of every range's CRC-32 (high byte first).
+ *
+ * @param {Array} crcs The CRC-32 of each range
+ *
+ * @returns {int}
+ */
+export function combineChecksums(crcs) {
+  if (crcs.length === 1) {
+    return crcs[0];
+  }
+  return crc32(crcs.reduce((bytes, crc) => bytes.concat(toBytes(crc, 4)), []));
+}
+
+/**
+ * Ask each node, one at a time, for the checksum of each range of flash the image was written to,
+ * and compare them to the image. If the image has EEPROM pages, the node's EEPROM is checked too.
+ *
+ * Options
+ * -------
+ *    - responseTimeout: How long to wait for each node to respond, in milliseconds.
+ *
+ * Each node's result is an object with:
+ *    - address:  The node address
+ *    - ok:       The node's checksum matches the image
+ *    - checksum: The checksum the node reported (see `combineChecksums()`), or null if it did not respond
+ *    - expected: The checksum of the image
+ *    - eeprom:   With EEPROM pages, the `ok`, `checksum` and `expected` checksum of the EEPROM
+ *                (`ok` is only true when both memories match)
+ *
+ * @param {DiscoBusMaster} disco A DiscoBus master connected to the bus
+ * @param {Array} addresses The node addresses to verify
+ * @param {Array} pages The image pages
+ * @param {Object} options (optional)
+ *
+ * @returns {Promise} Resolves with the result for each node
+ */
+export function verifyNodes(disco, addresses, pages, options = {}) {
+  const timeout = options.responseTimeout || RESPONSE_TIMEOUT;
+  const image = imageRanges(pages.filter(page => page.memory !== MEMORY_EEPROM));
+  const expected = combineChecksums(image.map(range => range.crc));
+  const eepromPages = pages.filter(page => page.memory === MEMORY_EEPROM);
+  const eeprom = (eepromPages.length) ? imageRanges(eepromPages) : null;
+  const eepromExpected = eeprom && combineChecksums(eeprom.map(range => range.crc));
+  const results = [];
+
+  return addresses
+    .reduce(
+      (prev, address) => prev
+        .then(() => readChecksums(disco, address, image, [], timeout))
+        .then((checksum) => {
+          const result = {
+            address,
+            ok: checksum === expected,
+            checksum,
+            expected,
+          };
+          results.push(result);
+          if (!eeprom) {
+            return null;
+          }
+
+          return readChecksums(disco, address, eeprom, [CHECKSUM_EEPROM], timeout)
+          .then((eepromChecksum) => {
+            result.eeprom = {
+              ok: eepromChecksum === eepromExpected,
+              checksum: eepromChecksum,
+              expected: eepromExpected,
+            };
+            result.ok = result.ok && result.eeprom.ok;
+          });
+        }),
+      Promise.resolve()
+    )
+    .then(() => results);
+}
+
+/**
+ * Ask a single node for the CRC-32 of each range, one at a time, and combine them.
+ *
+ * @param {DiscoBusMaster} disco
+ * @param {int} address The node address
+ * @param {Array} ranges The `address` to start from and `length` of each range (see `imageRanges()`)
+ * @param {Array} memory The memory space byte for EEPROM, or empty for flash
+ * @param {int} timeout Milliseconds to wait for each response
+ *
+ * @returns {Promise} Resolves with the combined checksum, or null if the node did not respond.
+ */
+function readChecksums(disco, address, ranges, memory, timeout) {
+  const crcs = [];
+  return ranges
+    .reduce(
+      (prev, range) => prev.then((ok) => {
+        if (!ok) {
+          return false;
+        }
+        return readChecksum(disco, address, range, memory, timeout)
+        .then((crc) => {
+          crcs.push(crc);
+          return crc !== null;
+        });
+      }),
+      Promise.resolve(true)
+    )
+    .then(ok => ((ok) ? combineChecksums(crcs) : null));
+}
+
+/**
+ * Ask a single node for the CRC-32 of a range of its memory.
+ *
+ * @param {DiscoBusMaster} disco
+ * @param {int} address The node address
+ * @param {Object} range The `address` to start from and `length`
+ * @param {Array} memory The memory space byte for EEPROM, or empty for flash
+ * @param {int} timeout Milliseconds to wait for a response
+ *
+ * @returns {Promise} Resolves with the checksum, or null if the node did not respond.
+ */
+function readChecksum(disco, address, range, memory, timeout) {
+  return new Promise((resolve) => {
+    let done = false;
+    const finish = (checksum) => {
+      if (!done) {
+        done = true;
+        clearTimeout(timer);
+        resolve(checksum);
+      }
+    };
+    const timer = setTimeout(() => finish(null), timeout);
+    const data = toBytes(range.address, 4).concat(toBytes(range.length, 4), memory);
+
+    disco.startMessage(MSG_CHECKSUM, data.length, {
+      destination: address,
+      responseMsg: true,
+      responseLength: CHECKSUM_LENGTH,
+    });
+    disco.sendData(data);
+    disco.endMessage()
+      .subscribe(
+        (response) => {
+          if (response && response.length >= CHECKSUM_LENGTH) {
+            finish(Array.from(response).slice(0, CHECKSUM_LENGTH).reduce((num, b) => (num * 256) + b, 0));
+          }
+        },
+        () => finish(null),
+        () => finish(null)
+      );
+  });
+}
@@ -0,0 +1,423 @@
+import { EventEmitter } from 'events';
+import SerialPortStub from './port';
+import { decodeFrames } from './simulator';
+import {
+  MSG_START,
+  MSG_PAGE_NUM,
+  MSG_PAGE_DATA,
+  MSG_END,
+  MSG_INFO,
+  MSG_ROLLBACK,
+  MSG_CHECKSUM,
+  MSG_EEPROM_ADDRESS,
+  CHECKSUM_EEPROM,
+} from './protocol';
+
+// The protocol message names, for decoding captures
+const MESSAGE_NAMES = {
+  [MSG_START]: 'MSG_START',
+  [MSG_PAGE_NUM]: 'MSG_PAGE_NUM',
+  [MSG_PAGE_DATA]: 'MSG_PAGE_DATA',
+  [MSG_END]: 'MSG_END',
+  [MSG_INFO]: 'MSG_INFO',
+  [MSG_ROLLBACK]: 'MSG_ROLLBACK',
+  [MSG_CHECKSUM]: 'MSG_CHECKSUM',
+  [MSG_EEPROM_ADDRESS]: 'MSG_EEPROM_ADDRESS',
+};
+
+// The bootloader options that are saved with each session, to replay it
+const SESSION_OPTIONS = [
+  'pageSize', 'mcu', 'version', 'maxTries', 'retryStrategy', 'maxPageRetries', 'timeBetweenPages',
+  'pacing', 'baudRate', 'minTimeBetweenPages', 'maxTimeBetweenPages', 'signalTimeout', 'signal',
+  'readyDelay', 'skipBlankPages', 'protocolVersion', 'crc', 'targets', 'onlyIfNewer', 'abortMessage',
+  'verify', 'verifyRetries', 'verifyTimeout', 'eepromPageSize',
+];
+
+// The entries that are the bootloader's decisions (not its inputs), which a replay should repeat
+const DECISION_TYPES = ['state', 'decision', 'result'];
+
+/**
+ * Records a programming session to a capture: the bytes written to and received from the bus,
+ * the signal line readings, and the decisions the bootloader makes. Each entry is a JSON object with
+ * the milliseconds since recording started (`t`) and its `type`:
+ *
+ *    - session:  A programming session started, with the bootloader `options`
+ *    - image:    The program file (`format` and hex `data`), and the hex `eeprom` data if there's an EEPROM file
+ *    - tx, rx:   Bytes written to or received from the bus (hex `data`)
+ *    - signal:   A signal line reading (`value`, or the `error`)
+ *    - state:    The session `state` changed
+ *    - decision: A `decision` the bootloader made, like `page-failed` or `resend`
+ *    - result:   The session ended (`ok`, or the error `code` and `message`)
+ *
+ * The entries are kept in `entries`, and each one is written to the stream as a line of JSON (JSONL).
+ *
+ * @class
+ */
+export class Recorder {
+
+  /**
+   * @param {Object} stream (optional) A writable stream, or any object with a `write()` method.
+   */
+  constructor(stream) {
+    this.stream = stream || null;
+    this.entries = [];
+    this._start = Date.now();
+  }
+
+  /**
+   * Add an entry to the capture.
+   *
+   * @param {String} type The entry type
+   * @param {Object} fields (optional) The entry fields
+   */
+  record(type, fields = {}) {
+    const entry = Object.assign({ t: Date.now() - this._start, type }, fields);
+    this.entries.push(entry);
+    if (this.stream) {
+      this.stream.write(`${JSON.stringify(entry)}\n`);
+    }
+  }
+
+  /**
+   * Record everything written to and received from a serial port.
+   * Use the returned port in place of the serial port.
+   *
+   * @param {SerialPort} serial An open SerialPort instance.
+   *
+   * @returns {RecordingPort}
+   */
+  wrap(serial) {
+    return new RecordingPort(serial, this);
+  }
+}
+
+/**
+ * A serial port that records the bytes going through it (see `Recorder.wrap()`).
+ *
+ * @class
+ */
+export class RecordingPort extends EventEmitter {
+
+  /**
+   * @param {SerialPort} serial The serial port
+   * @param {Recorder} recorder
+   */
+  constructor(serial, recorder) {
+    super();
+    this.serial = serial;
+    this.recorder = recorder;
+
+    serial.on('data', (data) => {
+      this.recorder.record('rx', { data: toHex(data) });
+      this.emit('data', data);
+    });
+    ['open', 'close', 'error'].forEach((event) => {
+      serial.on(event, (...args) => this.emit(event, ...args));
+    });
+  }
+
+  get isOpen() {
+    return this.serial.isOpen;
+  }
+
+  get baudRate() {
+    return this.serial.baudRate || (this.serial.options && this.serial.options.baudRate);
+  }
+
+  write(data, callback) {
+    this.recorder.record('tx', { data: toHex(data) });
+    return this.serial.write(data, callback);
+  }
+
+  drain(callback) {
+    return this.serial.drain(callback);
+  }
+
+  get(callback) {
+    return this.serial.get(callback);
+  }
+
+  set(config, callback) {
+    return this.serial.set(config, callback);
+  }
+
+  close(callback) {
+    return this.serial.close(callback);
+  }
+}
+
+/**
+ * Stands in for the serial port when replaying a session. The bytes the bootloader writes are
+ * compared to the capture, and the bytes the nodes sent are received after the bytes that came
+ * before them have been written. The first difference is kept in `divergence`.
+ *
+ * @class
+ */
+export class ReplayPort extends SerialPortStub {
+
+  /**
+   * @param {Array} entries The capture entries of one session
+   */
+  constructor(entries) {
+    super();
+    this.isOpen = true;
+    this.divergence = null;
+
+    const session = entries.find(entry => entry.type === 'session');
+    this.baudRate = (session && session.options.baudRate) || undefined;
+
+    // The bytes that were written, and the received data that follows each byte count
+    this._expected = [];
+    this._responses = [];
+    entries.forEach((entry) => {
+      if (entry.type === 'tx') {
+        Array.prototype.push.apply(this._expected, fromHex(entry.data));
+      } else if (entry.type === 'rx') {
+        this._responses.push({ after: this._expected.length, data: fromHex(entry.data) });
+      }
+    });
+    this._written = 0;
+  }
+
+  write(data, callback) {
+    const bytes = Array.from(data);
+    bytes.forEach((b) => {
+      if (!this.divergence && this._expected[this._written] !== b) {
+        this.divergence = {
+          offset: this._written,
+          expected: this._expected[this._written],
+          actual: b,
+        };
+      }
+      this._written++;
+    });
+
+    // Receive the data that the nodes sent after these bytes
+    while (this._responses.length && this._responses[0].after <= this._written) {
+      const response = this._responses.shift();
+      setImmediate(() => this.emit('data', Buffer.from(response.data)));
+    }
+
+    if (callback) {
+      callback(null);
+    }
+    return true;
+  }
+
+}
+
+/**
+ * A signal line that returns the readings in a capture, in order.
+ *
+ * @class
+ */
+export class ReplaySignal {
+
+  /**
+   * @param {Array} entries The capture entries of one session
+   * @param {boolean} timingOnly The session was recorded without a signal line
+   */
+  constructor(entries, timingOnly) {
+    this._readings = entries.filter(entry => entry.type === 'signal');
+    this.timingOnly = !!timingOnly;
+  }
+
+  read() {
+    const reading = this._readings.shift();
+    if (!reading) {
+      return Promise.reject('The capture has no more signal line readings');
+    }
+    if (typeof reading.error !== 'undefined') {
+      return Promise.reject(reading.error);
+    }
+    return Promise.resolve(reading.value);
+  }
+}
+
+/**
+ * Parse the contents of a capture file (one JSON entry per line).
+ *
+ * @param {String|Buffer} content
+ *
+ * @returns {Array} The entries
+ */
+export function parseCapture(content) {
+  return content.toString()
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length)
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`Line ${i + 1} of the capture is not valid JSON (${e.message})`);
+      }
+    });
+}
+
+/**
+ * Split a capture into its programming sessions.
+ * Each session starts at a `session` entry, and entries before the first one are left out.
+ *
+ * @param {Array} entries The capture entries
+ *
+ * @returns {Array} A list of entry lists
+ */
+export function captureSessions(entries) {
+  const sessions = [];
+  entries.forEach((entry) => {
+    if (entry.type === 'session') {
+      sessions.push([]);
+    }
+    if (sessions.length) {
+      sessions[sessions.length - 1].push(entry);
+    }
+  });
+  return sessions;
+}
+
+/**
+ * Get the decisions from a session's entries, without their timestamps.
+ *
+ * @param {Array} entries The capture entries
+ *
+ * @returns {Array}
+ */
+export function captureDecisions(entries) {
+  return entries
+    .filter(entry => DECISION_TYPES.indexOf(entry.type) > -1)
+    .map((entry) => {
+      const decision = Object.assign({}, entry);
+      delete decision.t;
+      return decision;
+    });
+}
+
+/**
+ * The bootloader options to save with a session. Only options that can be saved as JSON are kept.
+ *
+ * @param {Object} options The bootloader options
+ *
+ * @returns {Object}
+ */
+export function sessionOptions(options) {
+  const saved = {};
+  SESSION_OPTIONS.forEach((name) => {
+    const value = options[name];
+    if (typeof value !== 'undefined' && (typeof value !== 'object' || value === null || Array.isArray(value) || name === 'version')) {
+      saved[name] = value;
+    } else if (value && typeof value === 'object') {
+      saved[name] = 'custom';
+    }
+  });
+  return saved;
+}
+
+/**
+ * Describe each entry of a capture as a line of text, with the bytes on the bus
+ * decoded into protocol messages.
+ *
+ * @param {Array} entries The capture entries
+ *
+ * @returns {Array} The lines
+ */
+export function decodeCapture(entries) {
+  const lines = [];
+  const tx = [];
+  const line = (entry, label, text) => {
+    const time = `${(entry.t / 1000).toFixed(3)}s`;
+    lines.push(`${(`        ${time}`).substr(-9)}  ${(`${label}        `).substr(0, 8)} ${text}`);
+  };
+
+  entries.forEach((entry) => {
+    switch (entry.type) {
+      case 'session':
+        line(entry, 'SESSION', Object.keys(entry.options).map(name => `${name}=${JSON.stringify(entry.options[name])}`).join(' '));
+        break;
+      case 'image':
+        line(entry, 'IMAGE', `${entry.format || 'detected format'}, ${entry.data.length / 2} bytes${(entry.eeprom) ? `, ${entry.eeprom.length / 2} bytes of EEPROM` : ''}`);
+        break;
+      case 'tx':
+        Array.prototype.push.apply(tx, fromHex(entry.data));
+        decodeFrames(tx).forEach(frame => line(entry, 'TX', describeFrame(frame)));
+        break;
+      case 'rx':
+        line(entry, 'RX', entry.data.match(/../g).join(' '));
+        break;
+      case 'signal':
+        line(entry, 'SIGNAL', (typeof entry.error !== 'undefined') ? `error: ${entry.error}` : (entry.value && 'enabled') || 'disabled');
+        break;
+      case 'state':
+        line(entry, 'STATE', entry.state);
+        break;
+      case 'decision':
+        line(entry, 'DECISION', [entry.decision].concat(
+          Object.keys(entry)
+            .filter(name => ['t', 'type', 'decision'].indexOf(name) === -1)
+            .map(name => `${name}=${JSON.stringify(entry[name])}`)
+        ).join(' '));
+        break;
+      case 'result':
+        line(entry, 'RESULT', (entry.ok) ? 'ok' : `failed ${entry.code}: ${entry.message}`);
+        break;
+      default:
+        line(entry, entry.type.toUpperCase(), JSON.stringify(entry));
+    }
+  });
+  return lines;
+}
+
+/**
+ * Describe a protocol message.
+ *
+ * @param {Object} frame The decoded frame (see `decodeFrames()`)
+ *
+ * @returns {String}
+ */
+function describeFrame(frame) {
+  const name = MESSAGE_NAMES[frame.command] || `0x${frame.command.toString(16).toUpperCase()}`;
+  const to = (frame.destination) ? `to ${frame.destination}` : 'to all';
+  const data = frame.data;
+  let detail;
+
+  switch (frame.command) {
+    case MSG_START:
+      detail = `version ${data[0]}.${data[1]}`;
+      if (data.length > 2) {
+        detail += `, protocol ${data[2]}`;
+      }
+      if (data.length > 3) {
+        detail += `, flags 0x${data[3].toString(16)}`;
+      }
+      break;
+    case MSG_PAGE_NUM:
+      detail = `page ${data.reduce((num, b) => (num * 256) + b, 0)}`;
+      break;
+    case MSG_PAGE_DATA:
+      detail = `${data.length} bytes`;
+      break;
+    case MSG_END:
+      detail = (data.length === 4) ? `crc 0x${toHex(data)}` : '';
+      break;
+    case MSG_CHECKSUM:
+      detail = `${data.slice(4, 8).reduce((num, b) => (num * 256) + b, 0)} bytes from address ${data.slice(0, 4).reduce((num, b) => (num * 256) + b, 0)}`;
+      if (data[8] === CHECKSUM_EEPROM) {
+        detail += ' of EEPROM';
+      }
+      break;
+    case MSG_EEPROM_ADDRESS:
+      detail = `EEPROM address ${data.reduce((num, b) => (num * 256) + b, 0)}`;
+      break;
+    default:
+      detail = (data.length) ? toHex(data) : '';
+  }
+  return `${name} ${to}${(detail) ? `: ${detail}` : ''}`;
+}
+
+function toHex(data) {
+  return Buffer.from(data).toString('hex');
+}
+
+function fromHex(hex) {
+  return Array.from(Buffer.from(hex, 'hex'));
+}
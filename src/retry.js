@@ -0,0 +1,108 @@
+/**
+ * The retry strategies, which choose the pages to resend after nodes report errors.
+ * @type {Array}
+ */
+export const RETRY_STRATEGIES = ['selective', 'restart'];
+
+/**
+ * Resend only the pages that were flagged with an error in the last pass.
+ * Each page can be resent up to `maxPageRetries` times.
+ *
+ * Every retry strategy has a `nextPass(failed, numPages)` method, which is called at the end of
+ * each pass that had errors, with the page indexes that were flagged. It returns the page indexes
+ * to send in the next pass, or null to give up.
+ *
+ * @class
+ */
+export class SelectiveRetry {
+
+  /**
+   * @param {int} maxPageRetries The number of times each page can be resent
+   */
+  constructor(maxPageRetries) {
+    this.maxPageRetries = maxPageRetries;
+    this.retries = {};
+  }
+
+  nextPass(failed) {
+    if (failed.some(page => (this.retries[page] || 0) >= this.maxPageRetries)) {
+      return null;
+    }
+    failed.forEach((page) => {
+      this.retries[page] = (this.retries[page] || 0) + 1;
+    });
+    return failed.slice().sort((a, b) => a - b);
+  }
+}
+
+/**
+ * Resend everything from the page before the first error to the end of the image,
+ * and after that, restart from the first page on every retry.
+ * This gives up after `maxTries` passes.
+ *
+ * @class
+ */
+export class RestartRetry {
+
+  /**
+   * @param {int} maxTries The maximum number of programming passes
+   */
+  constructor(maxTries) {
+    this.maxTries = maxTries;
+    this.tries = 1;
+  }
+
+  nextPass(failed, numPages) {
+    this.tries++;
+    if (this.tries > this.maxTries) {
+      return null;
+    }
+
+    const first = (this.tries > 2) ? 0 : Math.max(Math.min.apply(null, failed) - 1, 0);
+    const pages = [];
+    for (let i = first; i < numPages; i++) {
+      pages.push(i);
+    }
+    return pages;
+  }
+}
+
+/**
+ * Create a retry strategy from its name:
+ *
+ *    - 'selective': Only resend the pages that failed (see `SelectiveRetry`)
+ *    - 'restart':   Resend from the first error, then the entire image (see `RestartRetry`)
+ *
+ * An object with a `nextPass()` method is returned as is.
+ *
+ * Options
+ * -------
+ *    - maxTries:       The maximum number of programming passes
+ *    - maxPageRetries: The number of times each page can be resent (default: `maxTries - 1`)
+ *
+ * @param {String|Object} strategy The strategy name, or a strategy object
+ * @param {Object} options
+ *
+ * @returns {Object} The retry strategy
+ */
+export function createRetryStrategy(strategy, options) {
+  if (strategy && typeof strategy === 'object') {
+    if (typeof strategy.nextPass !== 'function') {
+      throw new Error('A retry strategy needs a nextPass() method');
+    }
+    return strategy;
+  }
+
+  switch (strategy) {
+    case 'selective': {
+      const maxPageRetries = (typeof options.maxPageRetries === 'number')
+        ? options.maxPageRetries
+        : options.maxTries - 1;
+      return new SelectiveRetry(maxPageRetries);
+    }
+    case 'restart':
+      return new RestartRetry(options.maxTries);
+    default:
+      throw new Error(`Unknown retry strategy '${strategy}'. Use ${RETRY_STRATEGIES.join(' or ')}.`);
+  }
+}
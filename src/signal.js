@@ -0,0 +1,295 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { execFile } from 'child_process';
+
+const SYSFS_GPIO = '/sys/class/gpio';
+
+/**
+ * The serial modem status lines that can be used as the signal line.
+ * @type {Array}
+ */
+export const SERIAL_LINES = ['dsr', 'cts', 'dcd', 'ri'];
+
+/**
+ * Reads the signal line from one of the serial port's modem status lines (DSR, CTS, DCD or RI).
+ *
+ * Every signal line provider has a `read()` method, which returns a promise that resolves
+ * to `true` when the line is enabled (pulled LOW by a node) and `false` when it's not.
+ *
+ * @class
+ */
+export class SerialSignal {
+
+  /**
+   * @param {SerialPort} serial An open SerialPort instance.
+   * @param {String} line The status line: 'dsr', 'cts', 'dcd' or 'ri'
+   */
+  constructor(serial, line = 'dsr') {
+    if (SERIAL_LINES.indexOf(line) === -1) {
+      throw new Error(`Unknown serial signal line '${line}'. Expected one of: ${SERIAL_LINES.join(', ')}`);
+    }
+    this.serial = serial;
+    this.line = line;
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.serial.get((err, status) => {
+        if (err) {
+          reject(err);
+        } else if (!status || typeof status[this.line] === 'undefined') {
+          reject(`The serial port does not report the ${this.line.toUpperCase()} line`);
+        } else {
+          resolve(!!status[this.line]);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Reads the signal line from a Linux GPIO, with the sysfs interface (/sys/class/gpio).
+ * The pin is exported and set as an input, if it isn't already.
+ * The line is enabled when the pin is LOW.
+ *
+ * @class
+ */
+export class SysfsGpioSignal {
+
+  /**
+   * @param {int} pin The GPIO number
+   * @param {String} root (optional) The sysfs GPIO directory
+   */
+  constructor(pin, root = SYSFS_GPIO) {
+    this.pin = pin;
+    this.root = root;
+    this._exported = false;
+  }
+
+  read() {
+    return this._export()
+    .then(() => readFile(path.join(this.root, `gpio${this.pin}`, 'value')))
+    .then(value => value.toString().trim() === '0');
+  }
+
+  /**
+   * Export the pin and make it an input, if it's not already.
+   */
+  _export() {
+    const dir = path.join(this.root, `gpio${this.pin}`);
+
+    if (this._exported) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      fs.access(dir, err => resolve(!err));
+    })
+    .then((exists) => {
+      if (!exists) {
+        return writeFile(path.join(this.root, 'export'), `${this.pin}`);
+      }
+    })
+    .then(() => writeFile(path.join(dir, 'direction'), 'in'))
+    .then(() => {
+      this._exported = true;
+    });
+  }
+}
+
+/**
+ * Reads the signal line from a Linux GPIO character device (i.e. /dev/gpiochip0), with the libgpiod tools.
+ * Each read runs `gpioget`, which only requests the line while it reads it. (A `gpiomon` watching
+ * the line would hold the request, and the character device gives a line to one requester at a time.)
+ * Both the libgpiod v1 and v2 tools are supported (they take different arguments, and print different values).
+ * The line is enabled when the pin is LOW.
+ *
+ * @class
+ */
+export class GpioChipSignal {
+
+  /**
+   * @param {String} chip The GPIO chip name or device (i.e. 'gpiochip0')
+   * @param {int} line The line offset on the chip
+   * @param {String} command (optional) The gpioget command to run
+   */
+  constructor(chip, line, command = 'gpioget') {
+    this.chip = chip;
+    this.line = line;
+    this.command = command;
+    this._version = null;
+  }
+
+  read() {
+    return this._detectVersion()
+    .then(() => this._get())
+    .then(value => value === 0);
+  }
+
+  /**
+   * Find out which major version of the libgpiod tools is installed.
+   */
+  _detectVersion() {
+    if (this._version) {
+      return Promise.resolve(this._version);
+    }
+    return new Promise((resolve, reject) => {
+      execFile(this.command, ['--version'], (err, stdout) => {
+        if (err) {
+          reject(`Could not run ${this.command} (${err.message})`);
+        } else {
+          this._version = parseGpiodVersion(stdout.toString());
+          resolve(this._version);
+        }
+      });
+    });
+  }
+
+  /**
+   * Read the line value (0 or 1) with gpioget.
+   */
+  _get() {
+    return new Promise((resolve, reject) => {
+      execFile(this.command, gpiodArgs(this._version, this.chip, this.line), (err, stdout) => {
+        if (err) {
+          reject(`Could not run ${this.command} (${err.message})`);
+          return;
+        }
+        try {
+          resolve(parseGpioValue(stdout.toString()));
+        } catch (e) {
+          reject(e.message);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * No signal line. Nodes are never reported as busy or in error,
+ * and the bootloader relies on timing alone.
+ *
+ * @class
+ */
+export class NoSignal {
+  constructor() {
+    this.timingOnly = true;
+    this.enabled = false;
+  }
+
+  read() {
+    return Promise.resolve(this.enabled);
+  }
+}
+
+/**
+ * Create a signal line provider from a name:
+ *
+ *    - 'dsr', 'cts', 'dcd', 'ri': A serial port status line
+ *    - 'gpio:<pin>':              A sysfs GPIO pin (i.e. 'gpio:17')
+ *    - '<chip>:<line>':           A GPIO character device line (i.e. 'gpiochip0:17' or '/dev/gpiochip0:17')
+ *    - 'none':                    No signal line, timing only
+ *
+ * An object with a `read()` method is returned as is.
+ *
+ * @param {SerialPort} serial An open SerialPort instance.
+ * @param {String|Object} signal The signal line name, or a provider object
+ *
+ * @returns {Object} The signal line provider
+ */
+export function createSignal(serial, signal = 'dsr') {
+  if (signal && typeof signal === 'object') {
+    if (typeof signal.read !== 'function') {
+      throw new Error('A signal line provider needs a read() method');
+    }
+    return signal;
+  }
+
+  const name = `${signal}`.trim();
+  const lower = name.toLowerCase();
+  const sysfsGpio = lower.match(/^gpio:(\d+)$/);
+  const gpioChip = name.match(/^(.*gpiochip\d+):(\d+)$/);
+
+  if (SERIAL_LINES.indexOf(lower) > -1) {
+    return new SerialSignal(serial, lower);
+  }
+  if (lower === 'none') {
+    return new NoSignal();
+  }
+  if (sysfsGpio) {
+    return new SysfsGpioSignal(parseInt(sysfsGpio[1], 10));
+  }
+  if (gpioChip) {
+    return new GpioChipSignal(gpioChip[1], parseInt(gpioChip[2], 10));
+  }
+  throw new Error(`Unknown signal line '${name}'. Use dsr, cts, dcd, ri, gpio:<pin>, gpiochip<n>:<line> or none.`);
+}
+
+/**
+ * Stop a signal line provider, for the providers that have a `close()` method.
+ *
+ * @param {Object} provider The signal line provider
+ */
+export function closeSignal(provider) {
+  if (provider && typeof provider.close === 'function') {
+    provider.close();
+  }
+}
+
+/**
+ * Get the major version of the libgpiod tools, from their `--version` output
+ * (i.e. "gpioget (libgpiod) v1.6.3" or "gpioget (libgpiod) v2.1").
+ *
+ * @param {String} output The `--version` output
+ *
+ * @returns {int} The major version (1 if it's not in the output)
+ */
+export function parseGpiodVersion(output) {
+  const match = output.match(/\bv(\d+)\./);
+  return (match) ? parseInt(match[1], 10) : 1;
+}
+
+/**
+ * The gpioget arguments to read a line.
+ * v1 takes the chip and line offset, v2 needs the chip in the --chip option.
+ *
+ * @param {int} version The libgpiod major version
+ * @param {String} chip The GPIO chip name or device
+ * @param {int} line The line offset on the chip
+ *
+ * @returns {Array}
+ */
+function gpiodArgs(version, chip, line) {
+  if (version >= 2) {
+    return ['--chip', chip, `${line}`];
+  }
+  return [chip, `${line}`];
+}
+
+/**
+ * Parse the value gpioget prints: "0" or "1" with v1 (and v2 with --numeric),
+ * or the line and "active" or "inactive" with v2 (i.e. "17"=inactive).
+ *
+ * @param {String} output The gpioget output
+ *
+ * @returns {int} The line value, 0 or 1
+ */
+export function parseGpioValue(output) {
+  const text = output.trim();
+  const match = text.match(/^(?:"[^"]*"=)?(0|1|inactive|active)$/);
+  if (!match) {
+    throw new Error(`Unexpected gpioget output '${text}'`);
+  }
+  return (match[1] === '1' || match[1] === 'active') ? 1 : 0;
+}
+
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(file, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+}
+
+function writeFile(file, data) {
+  return new Promise((resolve, reject) => {
+    fs.writeFile(file, data, err => (err ? reject(err) : resolve()));
+  });
+}
@@ -0,0 +1,594 @@
+/* eslint no-bitwise: "off" */
+
+import SerialPortStub from './port';
+import { findMcu } from './mcu';
+import { crc16, crc32, toBytes } from './crc';
+import {
+  MSG_START,
+  MSG_PAGE_NUM,
+  MSG_PAGE_DATA,
+  MSG_END,
+  MSG_INFO,
+  MSG_ROLLBACK,
+  MSG_CHECKSUM,
+  MSG_EEPROM_ADDRESS,
+  CHECKSUM_EEPROM,
+  START_FLAG_CRC,
+} from './protocol';
+
+// The DiscoBus frame layout:
+//   [0-1] start sequence (0xFF 0xFF)
+//   [2]   command
+//   [3]   flags (batch mode, response message)
+//   [4]   destination address (0 to broadcast)
+//   [5-6] data length (low byte first)
+//   data, then a 2 byte CRC
+const FRAME_START = 0xFF;
+const FRAME_HEADER_SIZE = 7;
+const FRAME_CRC_SIZE = 2;
+const FLAG_RESPONSE = 0x02;
+const BROADCAST = 0;
+
+// DiscoBus node addressing: broadcast with the address before the first node's address (usually 0)
+const CMD_ADDRESS = 0xFB;
+
+const DEFAULT_MCU = 'atmega328p';
+const BOOTLOADER_VERSION = { major: 1, minor: 0 };
+
+/**
+ * Split a stream of bytes into DiscoBus frames.
+ * Bytes before a start sequence are skipped, and an incomplete frame at the end is left in the buffer.
+ *
+ * @param {Array} buffer The received bytes. The decoded frames are removed from it.
+ *
+ * @returns {Array} The frames, each with `command`, `flags`, `destination` and `data`
+ */
+export function decodeFrames(buffer) {
+  const frames = [];
+
+  while (buffer.length) {
+    // Find the start sequence
+    if (buffer[0] !== FRAME_START || (buffer.length > 1 && buffer[1] !== FRAME_START)) {
+      buffer.shift();
+    }
+    else if (buffer.length < FRAME_HEADER_SIZE) {
+      break;
+    }
+    else {
+      const length = buffer[5] + (buffer[6] * 256);
+      const size = FRAME_HEADER_SIZE + length + FRAME_CRC_SIZE;
+      if (buffer.length < size) {
+        break;
+      }
+
+      const frame = buffer.splice(0, size);
+      frames.push({
+        command: frame[2],
+        flags: frame[3],
+        destination: frame[4],
+        data: frame.slice(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + length),
+      });
+    }
+  }
+  return frames;
+}
+
+/**
+ * A node running the AVR multidrop bootloader, with its own flash and EEPROM memory.
+ *
+ * The node holds the signal line (enabled) while it waits in the bootloader, and while it's getting ready
+ * after the start message. After each page, it holds the line if the page failed, until the next page number.
+ * A node waiting in the bootloader goes back to its application when it's sent MSG_END.
+ * Nodes with a `command` start out running their application, and enter the bootloader when they're sent it
+ * (with the `commandData`, if it's set).
+ *
+ * Faults
+ * ------
+ *    - dropRate:     The chance (0 - 1) of losing bytes from each message, which makes the node discard it.
+ *    - corruptRate:  The chance (0 - 1) of each page being corrupted when it's received.
+ *    - corruptPages: Page numbers that are corrupted the first time they're received.
+ *    - readyDelay:   Milliseconds to get ready after the start message (a slow node).
+ *    - writeDelay:   Milliseconds to write each page to flash, holding the signal line.
+ *    - neverReady:   The node never gets ready after the start message.
+ *    - entryDelay:   Milliseconds to jump from the application to the bootloader.
+ *    - missCommands: The number of bootloader commands the application misses before it enters the bootloader.
+ *
+ * @class
+ */
+export class VirtualNode {
+
+  /**
+   * @param {int} address The node's DiscoBus address
+   * @param {Object} options The `mcu` part, `pageSize`, `appVersion`, bootloader entry `command` and
+   *                         `commandData`, `faults` and `random` function
+   */
+  constructor(address, options) {
+    this.address = address;
+    this.mcu = options.mcu;
+    this.pageSize = options.pageSize || this.mcu.pageSize;
+    this.flash = Buffer.alloc(this.mcu.flashSize, 0xFF);
+    this.eeprom = Buffer.alloc(this.mcu.eepromSize, 0xFF);
+    this.appVersion = Object.assign({ major: 0, minor: 0 }, options.appVersion);
+    this.faults = Object.assign({
+      dropRate: 0,
+      corruptRate: 0,
+      corruptPages: [],
+      readyDelay: 0,
+      writeDelay: 0,
+      neverReady: false,
+      entryDelay: 0,
+      missCommands: 0,
+    }, options.faults);
+    this.random = options.random || Math.random;
+    this.command = options.command;
+    this.commandData = Array.from(options.commandData || []);
+
+    // 'app' (running the application), 'entering' (jumping to the bootloader), 'bootloader' (waiting for a program),
+    // 'starting' (getting ready), 'programming' (in the page loop), 'done' (running the new program)
+    // or 'failed' (back in the bootloader)
+    this.state = (typeof this.command === 'number') ? 'app' : 'bootloader';
+    this.pagesWritten = 0;
+    this.errors = 0;
+
+    this._busy = false;
+    this._pageError = false;
+    this._page = null;
+    this._eepromAddress = null;
+    this._crcMode = false;
+    this._version = null;
+    this._received = {};
+    this._corrupted = {};
+    this._backup = null;
+    this._missedCommands = 0;
+    this._timers = [];
+  }
+
+  /**
+   * Is the node holding the signal line
+   * @type {boolean}
+   */
+  get signal() {
+    return ['bootloader', 'starting', 'failed'].indexOf(this.state) > -1 || this._busy || this._pageError;
+  }
+
+  /**
+   * Is the node in the bootloader, waiting for a program
+   * @type {boolean}
+   */
+  get _waiting() {
+    return this.state === 'bootloader' || this.state === 'failed';
+  }
+
+  /**
+   * Handle a message from the bus.
+   *
+   * @param {Object} frame The decoded message
+   * @param {Function} respond Called with the response data, for response messages
+   */
+  receive(frame, respond) {
+    if (frame.destination !== BROADCAST && frame.destination !== this.address) {
+      return;
+    }
+
+    // Lost bytes: the message fails the frame CRC, and is discarded
+    if (this.faults.dropRate && this.random() < this.faults.dropRate) {
+      if (this.state === 'programming') {
+        this._pageError = true;
+        this._page = null;
+        this.errors++;
+      }
+      return;
+    }
+
+    // Running the application, which only listens for the bootloader command
+    if (this.state === 'app' || this.state === 'done') {
+      if (frame.command === this.command && this._unlocks(frame.data)) {
+        this._enterBootloader();
+      }
+      return;
+    }
+    if (this.state === 'entering') {
+      return;
+    }
+
+    switch (frame.command) {
+      case MSG_INFO:
+        if ((frame.flags & FLAG_RESPONSE) && this._waiting) {
+          respond(this.info());
+        }
+        break;
+      case MSG_START:
+        if (this._waiting) {
+          this._start(frame.data);
+        }
+        break;
+      case MSG_PAGE_NUM:
+        if (this.state === 'programming') {
+          this._page = frame.data.reduce((num, b) => (num * 256) + b, 0);
+          this._eepromAddress = null;
+          this._pageError = false;
+        }
+        break;
+      case MSG_EEPROM_ADDRESS:
+        if (this.state === 'programming') {
+          this._eepromAddress = frame.data.reduce((num, b) => (num * 256) + b, 0);
+          this._page = null;
+          this._pageError = false;
+        }
+        break;
+      case MSG_PAGE_DATA:
+        if (this.state === 'programming') {
+          this._writePage(frame.data);
+        }
+        break;
+      case MSG_END:
+        if (this.state === 'programming') {
+          this._end(frame.data);
+        }
+        else if (this.state === 'bootloader') {
+          this._reset('app');
+        }
+        break;
+      case MSG_CHECKSUM:
+        if ((frame.flags & FLAG_RESPONSE) && this.state === 'programming') {
+          respond(this.checksum(frame.data));
+        }
+        break;
+      case MSG_ROLLBACK:
+        if (this.state === 'programming' || this.state === 'starting') {
+          this.flash = this._backup.flash;
+          this.eeprom = this._backup.eeprom;
+          this._reset('bootloader');
+        }
+        break;
+      default:
+    }
+  }
+
+  /**
+   * The node's MSG_INFO response.
+   *
+   * @returns {Array}
+   */
+  info() {
+    return [
+      BOOTLOADER_VERSION.major,
+      BOOTLOADER_VERSION.minor,
+      this.appVersion.major,
+      this.appVersion.minor,
+    ]
+    .concat(this.mcu.signature)
+    .concat(toBytes(this.pageSize, 2));
+  }
+
+  /**
+   * The node's MSG_CHECKSUM response: the CRC-32 of the requested flash or EEPROM range.
+   *
+   * @param {Array} data The request data (start address, length and optional memory space)
+   *
+   * @returns {Array}
+   */
+  checksum(data) {
+    const address = data.slice(0, 4).reduce((num, b) => (num * 256) + b, 0);
+    const length = data.slice(4, 8).reduce((num, b) => (num * 256) + b, 0);
+    const bytes = (data[8] === CHECKSUM_EEPROM) ? this.readEeprom(address, length) : this.read(address, length);
+    return toBytes(crc32(bytes), 4);
+  }
+
+  /**
+   * Read a part of flash.
+   *
+   * @param {int} address The start address
+   * @param {int} length The number of bytes
+   *
+   * @returns {Buffer}
+   */
+  read(address, length) {
+    return this.flash.slice(address, address + length);
+  }
+
+  /**
+   * Read a part of the EEPROM.
+   *
+   * @param {int} address The start address
+   * @param {int} length The number of bytes
+   *
+   * @returns {Buffer}
+   */
+  readEeprom(address, length) {
+    return this.eeprom.slice(address, address + length);
+  }
+
+  /**
+   * Take a new address, from DiscoBus node addressing.
+   *
+   * @param {int} address
+   *
+   * @returns {int} The address
+   */
+  assignAddress(address) {
+    this.address = address;
+    return address;
+  }
+
+  /**
+   * Stop all pending timers.
+   */
+  stop() {
+    this._timers.forEach(timer => clearTimeout(timer));
+    this._timers = [];
+  }
+
+  /**
+   * Does the bootloader command's data match the `commandData`
+   */
+  _unlocks(data) {
+    return !this.commandData.length
+      || (data.length === this.commandData.length && this.commandData.every((b, i) => data[i] === b));
+  }
+
+  _enterBootloader() {
+    if (this._missedCommands < this.faults.missCommands) {
+      this._missedCommands++;
+      return;
+    }
+    this._missedCommands = 0;
+    this.state = 'entering';
+    this._after(this.faults.entryDelay, () => {
+      this.state = 'bootloader';
+    });
+  }
+
+  _start(data) {
+    this._reset('starting');
+    this._backup = { flash: Buffer.from(this.flash), eeprom: Buffer.from(this.eeprom) };
+    this._version = { major: data[0], minor: data[1] };
+    this._crcMode = data.length > 3 && !!(data[3] & START_FLAG_CRC);
+
+    if (this.faults.neverReady) {
+      return;
+    }
+    this._after(this.faults.readyDelay, () => {
+      this.state = 'programming';
+    });
+  }
+
+  _writePage(data) {
+    let page = data;
+    const eeprom = (this._eepromAddress !== null);
+
+    // The page number was lost
+    if (this._page === null && !eeprom) {
+      this._pageError = true;
+      this.errors++;
+      return;
+    }
+
+    // Check the page CRC
+    if (this._crcMode) {
+      page = data.slice(0, -2);
+      const crc = (data[data.length - 2] * 256) + data[data.length - 1];
+      if (this._corrupt(page) || crc16(page) !== crc) {
+        this._pageError = true;
+        this.errors++;
+        return;
+      }
+    }
+    else if (this._corrupt(page)) {
+      page = page.slice();
+      page[0] ^= 0xFF;
+    }
+
+    const memory = (eeprom) ? this.eeprom : this.flash;
+    const address = (eeprom) ? this._eepromAddress : this._page * this.pageSize;
+    if (address + page.length > memory.length) {
+      this._pageError = true;
+      this.errors++;
+      return;
+    }
+    Buffer.from(page).copy(memory, address);
+    if (!eeprom) {
+      this._received[this._page] = page;
+    }
+    this._page = null;
+    this._eepromAddress = null;
+    this.pagesWritten++;
+
+    // Hold the line while writing to flash
+    if (this.faults.writeDelay) {
+      this._busy = true;
+      this._after(this.faults.writeDelay, () => {
+        this._busy = false;
+      });
+    }
+  }
+
+  _end(data) {
+    // Check the image CRC, of all the flash pages in order
+    if (this._crcMode && data.length >= 4) {
+      const expected = data.slice(0, 4).reduce((num, b) => (num * 256) + b, 0);
+      const crc = Object.keys(this._received)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .reduce((result, num) => crc32(this._received[num], result), 0);
+
+      if (crc !== expected) {
+        this.errors++;
+        this._reset('failed');
+        return;
+      }
+    }
+
+    this.appVersion = this._version;
+    this._reset('done');
+  }
+
+  /**
+   * Is this page corrupted, by the corruptRate or corruptPages faults
+   */
+  _corrupt(page) {
+    if (this.faults.corruptPages.indexOf(this._page) > -1 && !this._corrupted[this._page]) {
+      this._corrupted[this._page] = true;
+      return true;
+    }
+    return page.length > 0 && this.faults.corruptRate > 0 && this.random() < this.faults.corruptRate;
+  }
+
+  _reset(state) {
+    this.stop();
+    this.state = state;
+    this._busy = false;
+    this._pageError = false;
+    this._page = null;
+    this._eepromAddress = null;
+    this._received = {};
+  }
+
+  _after(delay, callback) {
+    if (!delay) {
+      callback();
+      return;
+    }
+    const timer = setTimeout(() => {
+      this._timers = this._timers.filter(t => t !== timer);
+      callback();
+    }, delay);
+    this._timers.push(timer);
+  }
+}
+
+/**
+ * A virtual serial port, connected to a bus of virtual nodes running the bootloader.
+ * It can be used in place of a SerialPort, to program without hardware.
+ *
+ * Messages written to the port are decoded and delivered to every node, which handle the broadcast messages
+ * and the messages sent to their address. The DSR line is enabled while any node holds the signal line,
+ * and nodes answer MSG_INFO and MSG_CHECKSUM with response data.
+ *
+ * The bus can also be addressed with DiscoBus node addressing: each node, in bus order, takes the address
+ * after the previous one and sends it on the bus.
+ *
+ * Options
+ * -------
+ *    - nodes:        The number of nodes (addresses 1 to N), or a list of node options
+ *                    (`address`, `appVersion` and `faults`).
+ *    - mcu:          The part name of the nodes (default 'atmega328p')
+ *    - pageSize:     The page size, if it's not the part's page size
+ *    - appVersion:   The program `{major, minor}` version installed on the nodes
+ *    - command:      The DiscoBus command that puts the nodes into the bootloader. When it's set, the nodes
+ *                    start out running their application, otherwise they start in the bootloader.
+ *    - commandData:  The data the nodes need with the bootloader command to enter the bootloader (an unlock code)
+ *    - faults:       Faults for all the nodes (see `VirtualNode`)
+ *    - baudRate:     The baud rate the port reports
+ *    - random:       A function that returns numbers from 0 to 1, for the fault chances
+ *
+ * @class
+ */
+export class SimulatedSerialPort extends SerialPortStub {
+
+  /**
+   * @param {Object} options The simulation options
+   * @param {Function} callback (optional) Called when the port is open
+   */
+  constructor(options = {}, callback) {
+    super();
+
+    const mcu = findMcu(options.mcu || DEFAULT_MCU);
+    if (!mcu) {
+      throw new Error(`Unknown MCU '${options.mcu}'`);
+    }
+
+    let nodes = options.nodes || 1;
+    if (typeof nodes === 'number') {
+      nodes = Array.from({ length: nodes }, (v, i) => ({ address: i + 1 }));
+    }
+
+    this.mcu = mcu;
+    this.baudRate = options.baudRate || 115200;
+    this.isOpen = true;
+    this.nodes = nodes.map((node, i) => new VirtualNode(node.address || i + 1, {
+      mcu,
+      pageSize: options.pageSize,
+      appVersion: node.appVersion || options.appVersion,
+      command: options.command,
+      commandData: options.commandData,
+      faults: Object.assign({}, options.faults, node.faults),
+      random: options.random,
+    }));
+    this._buffer = [];
+
+    if (callback) {
+      setImmediate(() => callback(null));
+    }
+  }
+
+  /**
+   * The node addresses on the bus
+   * @type {Array}
+   */
+  get addresses() {
+    return this.nodes.map(node => node.address);
+  }
+
+  /**
+   * Get a node by address.
+   *
+   * @param {int} address
+   *
+   * @returns {VirtualNode}
+   */
+  node(address) {
+    return this.nodes.find(node => node.address === address) || null;
+  }
+
+  write(data, callback) {
+    Array.prototype.push.apply(this._buffer, Array.from(data));
+    decodeFrames(this._buffer).forEach(frame => this._deliver(frame));
+    if (callback) {
+      callback(null);
+    }
+    return true;
+  }
+
+  /**
+   * Get the modem status lines. DSR is enabled while any node holds the signal line.
+   */
+  get(callback) {
+    const enabled = this.nodes.some(node => node.signal);
+    setImmediate(() => callback(null, {
+      dsr: enabled,
+      cts: false,
+      dcd: false,
+      ri: false,
+    }));
+  }
+
+  close(callback) {
+    this.nodes.forEach(node => node.stop());
+    super.close(callback);
+  }
+
+  _deliver(frame) {
+    if (frame.command === CMD_ADDRESS && frame.destination === BROADCAST) {
+      this._addressNodes(frame.data.length ? frame.data[0] : 0);
+      return;
+    }
+
+    this.nodes.forEach((node) => {
+      node.receive(frame, (response) => {
+        const data = response.concat(toBytes(crc16(response), 2));
+        setImmediate(() => this.emit('data', Buffer.from(data)));
+      });
+    });
+  }
+
+  /**
+   * DiscoBus node addressing: give the nodes the addresses after `previous`, in bus order.
+   *
+   * @param {int} previous The address before the first node's
+   */
+  _addressNodes(previous) {
+    const addresses = this.nodes.map((node, i) => node.assignAddress(previous + i + 1));
+    setImmediate(() => this.emit('data', Buffer.from(addresses)));
+  }
+}
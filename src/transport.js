@@ -0,0 +1,446 @@
+/* eslint no-bitwise: "off" */
+
+import * as net from 'net';
+import * as url from 'url';
+import SerialPortStub from './port';
+
+/**
+ * The URL schemes of the network transports.
+ * @type {Array}
+ */
+export const TRANSPORT_SCHEMES = ['tcp', 'rfc2217'];
+
+// Telnet commands (RFC 854)
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+
+// Telnet options
+const BINARY = 0;
+const SUPPRESS_GO_AHEAD = 3;
+const COM_PORT_OPTION = 44;
+const SUPPORTED_OPTIONS = [BINARY, SUPPRESS_GO_AHEAD, COM_PORT_OPTION];
+
+// RFC 2217 COM port commands. The server responds with the command + 100.
+const SET_BAUDRATE = 1;
+const SET_DATASIZE = 2;
+const SET_PARITY = 3;
+const SET_STOPSIZE = 4;
+const SET_CONTROL = 5;
+const NOTIFY_MODEMSTATE = 7;
+const SET_MODEMSTATE_MASK = 11;
+const SERVER_OFFSET = 100;
+
+// SET_CONTROL values
+const CONTROL = {
+  brk: [5, 6],
+  dtr: [8, 9],
+  rts: [11, 12],
+};
+
+// Modem state bits
+const MODEM_CD = 0x80;
+const MODEM_RI = 0x40;
+const MODEM_DSR = 0x20;
+const MODEM_CTS = 0x10;
+
+const PARITY_NONE = 1;
+const DATA_BITS = 8;
+const STOP_BITS_1 = 1;
+
+// How long to wait for the server to report the modem lines, in milliseconds
+const MODEMSTATE_TIMEOUT = 1000;
+
+/**
+ * A serial port on the other end of a TCP connection.
+ *
+ * This has the parts of the SerialPort interface that the bootloader uses (`write()`, `drain()`,
+ * `get()`, `set()`, `close()` and the `data` event), so it can be used in its place.
+ * The callback is called once the connection is open, or with the error if it couldn't connect.
+ *
+ * Options
+ * -------
+ *    - baudRate: The baud rate of the serial port
+ *
+ * @class
+ */
+class SocketTransport extends SerialPortStub {
+
+  /**
+   * @param {String} host The server host name or address
+   * @param {int} port The server TCP port
+   * @param {Object} options (optional)
+   * @param {Function} callback (optional) Called when the connection is open
+   */
+  constructor(host, port, options = {}, callback) {
+    super();
+    this.host = host;
+    this.port = port;
+    this.baudRate = options.baudRate;
+
+    this._socket = net.connect({ host, port });
+    this._socket.on('connect', () => {
+      this.isOpen = true;
+      this.emit('open');
+      if (callback) {
+        callback(null);
+      }
+    });
+    this._socket.on('data', data => this._received(data));
+    this._socket.on('error', (err) => {
+      if (!this.isOpen && callback) {
+        callback(err);
+      } else {
+        this.emit('error', err);
+      }
+    });
+    this._socket.on('close', () => {
+      this.isOpen = false;
+      this.emit('close');
+    });
+  }
+
+  write(data, callback) {
+    return this._socket.write(this.constructor.encode(Buffer.from(data)), () => {
+      if (callback) {
+        callback(null);
+      }
+    });
+  }
+
+  drain(callback) {
+    if (!this._socket.bufferSize) {
+      setImmediate(() => callback(null));
+      return;
+    }
+    this._socket.once('drain', () => callback(null));
+  }
+
+  close(callback) {
+    if (!this.isOpen) {
+      if (callback) {
+        setImmediate(() => callback(null));
+      }
+      return;
+    }
+    if (callback) {
+      this._socket.once('close', () => callback(null));
+    }
+    this._socket.end();
+  }
+
+  /**
+   * Handle data from the server.
+   */
+  _received(data) {
+    this.emit('data', data);
+  }
+
+  /**
+   * Prepare data to be sent to the server.
+   *
+   * @param {Buffer} data The serial data
+   *
+   * @returns {Buffer}
+   */
+  static encode(data) {
+    return data;
+  }
+}
+
+/**
+ * A serial port behind a raw TCP bridge (like ser2net's raw mode).
+ * The bytes are passed through as they are, so the modem lines can't be read,
+ * and the signal line needs to come from somewhere else (or be `none`).
+ *
+ * @class
+ */
+export class TcpTransport extends SocketTransport {
+
+  get(callback) {
+    setImmediate(() => callback(new Error(`A raw TCP connection (${this.host}:${this.port}) cannot read the modem lines. Use rfc2217://, a GPIO signal line or no signal line.`)));
+  }
+
+  set(config, callback) {
+    if (callback) {
+      setImmediate(() => callback(new Error(`A raw TCP connection (${this.host}:${this.port}) cannot set the modem lines.`)));
+    }
+  }
+}
+
+/**
+ * A serial port behind an RFC 2217 (Telnet COM port control) server, like ser2net's telnet mode
+ * or a terminal server. The serial settings are sent to the server when the connection opens,
+ * and the modem lines are kept up to date by the server's modem state notifications.
+ *
+ * @class
+ */
+export class Rfc2217Transport extends SocketTransport {
+
+  constructor(host, port, options = {}, callback) {
+    super(host, port, options, callback);
+    this.once('open', () => this._sendSettings());
+
+    this.modemState = null;
+    this._sent = {};
+    this._pending = [];
+    this._parser = {
+      state: 'data',
+      command: null,
+      subnegotiation: [],
+    };
+  }
+
+  /**
+   * Read the modem status lines, from the last modem state the server sent.
+   * The server notifies every change, so only the first read needs to ask it for the state.
+   */
+  get(callback) {
+    if (this.modemState !== null) {
+      const lines = modemLines(this.modemState);
+      setImmediate(() => callback(null, lines));
+      return;
+    }
+
+    const pending = {
+      callback,
+      timer: setTimeout(() => {
+        this._pending = this._pending.filter(p => p !== pending);
+        callback(new Error('The RFC 2217 server did not report the modem lines'));
+      }, MODEMSTATE_TIMEOUT),
+    };
+    this._pending.push(pending);
+    this._subnegotiate(NOTIFY_MODEMSTATE, []);
+  }
+
+  /**
+   * Set the control lines (`dtr`, `rts` or `brk`).
+   */
+  set(config, callback) {
+    Object.keys(CONTROL).forEach((line) => {
+      if (typeof config[line] !== 'undefined') {
+        this._subnegotiate(SET_CONTROL, [(config[line]) ? CONTROL[line][0] : CONTROL[line][1]]);
+      }
+    });
+    if (callback) {
+      setImmediate(() => callback(null));
+    }
+  }
+
+  /**
+   * Send the Telnet options and the serial settings, once the connection is open.
+   */
+  _sendSettings() {
+    this._negotiate(WILL, COM_PORT_OPTION);
+    this._negotiate(WILL, BINARY);
+    this._negotiate(DO, BINARY);
+    this._negotiate(DO, SUPPRESS_GO_AHEAD);
+
+    if (this.baudRate) {
+      this._subnegotiate(SET_BAUDRATE, [
+        (this.baudRate >>> 24) & 0xFF,
+        (this.baudRate >>> 16) & 0xFF,
+        (this.baudRate >>> 8) & 0xFF,
+        this.baudRate & 0xFF,
+      ]);
+    }
+    this._subnegotiate(SET_DATASIZE, [DATA_BITS]);
+    this._subnegotiate(SET_PARITY, [PARITY_NONE]);
+    this._subnegotiate(SET_STOPSIZE, [STOP_BITS_1]);
+    this._subnegotiate(SET_MODEMSTATE_MASK, [0xFF]);
+  }
+
+  /**
+   * Escape IAC bytes in the data (IAC is sent twice).
+   *
+   * @param {Buffer} data The serial data
+   *
+   * @returns {Buffer}
+   */
+  static encode(data) {
+    const bytes = [];
+    for (let i = 0; i < data.length; i++) {
+      bytes.push(data[i]);
+      if (data[i] === IAC) {
+        bytes.push(IAC);
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Separate the serial data from the Telnet commands.
+   */
+  _received(chunk) {
+    const parser = this._parser;
+    const data = [];
+
+    for (let i = 0; i < chunk.length; i++) {
+      const b = chunk[i];
+      switch (parser.state) {
+        case 'data':
+          if (b === IAC) {
+            parser.state = 'iac';
+          } else {
+            data.push(b);
+          }
+          break;
+        case 'iac':
+          parser.state = 'data';
+          if (b === IAC) {
+            data.push(b);
+          } else if (b === SB) {
+            parser.subnegotiation = [];
+            parser.state = 'sb';
+          } else if (b === WILL || b === WONT || b === DO || b === DONT) {
+            parser.command = b;
+            parser.state = 'option';
+          }
+          break;
+        case 'option':
+          this._optionRequest(parser.command, b);
+          parser.state = 'data';
+          break;
+        case 'sb':
+          if (b === IAC) {
+            parser.state = 'sb-iac';
+          } else {
+            parser.subnegotiation.push(b);
+          }
+          break;
+        case 'sb-iac':
+          if (b === SE) {
+            this._subnegotiation(parser.subnegotiation);
+            parser.state = 'data';
+          } else {
+            parser.subnegotiation.push(b);
+            parser.state = 'sb';
+          }
+          break;
+        default:
+      }
+    }
+
+    if (data.length) {
+      this.emit('data', Buffer.from(data));
+    }
+  }
+
+  /**
+   * Answer the server's option requests: agree to the options we use, and refuse the others.
+   */
+  _optionRequest(command, option) {
+    const supported = SUPPORTED_OPTIONS.indexOf(option) > -1;
+    if (command === DO) {
+      this._negotiate((supported) ? WILL : WONT, option);
+    } else if (command === WILL) {
+      this._negotiate((supported) ? DO : DONT, option);
+    }
+  }
+
+  /**
+   * Handle a subnegotiation from the server.
+   */
+  _subnegotiation(data) {
+    if (data[0] !== COM_PORT_OPTION) {
+      return;
+    }
+    if (data[1] === NOTIFY_MODEMSTATE + SERVER_OFFSET) {
+      this.modemState = data[2];
+
+      const pending = this._pending;
+      this._pending = [];
+      pending.forEach((p) => {
+        clearTimeout(p.timer);
+        p.callback(null, modemLines(this.modemState));
+      });
+    }
+  }
+
+  /**
+   * Send an option negotiation, once.
+   */
+  _negotiate(command, option) {
+    const key = `${command}:${option}`;
+    if (!this._sent[key]) {
+      this._sent[key] = true;
+      this._socket.write(Buffer.from([IAC, command, option]));
+    }
+  }
+
+  /**
+   * Send a COM port command.
+   */
+  _subnegotiate(command, data) {
+    this._socket.write(Buffer.from(
+      [IAC, SB, COM_PORT_OPTION, command]
+      .concat(Array.from(Rfc2217Transport.encode(Buffer.from(data))))
+      .concat([IAC, SE])
+    ));
+  }
+}
+
+/**
+ * Open a network transport from a URL:
+ *
+ *    - 'tcp://host:port':     A raw TCP serial bridge (see `TcpTransport`)
+ *    - 'rfc2217://host:port': An RFC 2217 server (see `Rfc2217Transport`)
+ *
+ * Any other device name is a local serial port, and null is returned.
+ *
+ * @param {String} device The device URL
+ * @param {Object} options (optional) The transport options (`baudRate`)
+ * @param {Function} callback (optional) Called when the connection is open, or fails
+ *
+ * @returns {Object} The transport, or null for a local device
+ */
+export function createTransport(device, options = {}, callback) {
+  const scheme = transportScheme(device);
+  if (!scheme) {
+    return null;
+  }
+
+  const parsed = url.parse(device);
+  const port = parseInt(parsed.port, 10);
+  if (!parsed.hostname || !port) {
+    throw new Error(`The device URL '${device}' needs a host and port (i.e. ${scheme}://localhost:4000)`);
+  }
+
+  const Transport = (scheme === 'rfc2217') ? Rfc2217Transport : TcpTransport;
+  return new Transport(parsed.hostname, port, options, callback);
+}
+
+/**
+ * Get the network transport scheme of a device name.
+ *
+ * @param {String} device The device name or URL
+ *
+ * @returns {String} 'tcp' or 'rfc2217', or null for a local device
+ */
+export function transportScheme(device) {
+  const match = `${device}`.match(/^([a-z0-9]+):\/\//i);
+  if (!match || TRANSPORT_SCHEMES.indexOf(match[1].toLowerCase()) === -1) {
+    return null;
+  }
+  return match[1].toLowerCase();
+}
+
+/**
+ * Convert an RFC 2217 modem state byte into the serial status lines.
+ *
+ * @param {int} state The modem state byte
+ *
+ * @returns {Object}
+ */
+function modemLines(state) {
+  return {
+    dcd: !!(state & MODEM_CD),
+    ri: !!(state & MODEM_RI),
+    dsr: !!(state & MODEM_DSR),
+    cts: !!(state & MODEM_CTS),
+  };
+}
@@ -0,0 +1,247 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const expect = require('chai').expect;
+
+const CLI = path.join(__dirname, 'mocks', 'cli.mock.js');
+
+// Run the command line tool, and resolve with its exit `code`, `stdout` and `stderr`
+function run(args, env) {
+  const options = { timeout: 10000, env: Object.assign({}, process.env, env) };
+  return new Promise((resolve) => {
+    childProcess.execFile(process.execPath, [CLI].concat(args), options, (err, stdout, stderr) => {
+      resolve({
+        code: (err) ? err.code : 0,
+        stdout,
+        stderr,
+      });
+    });
+  });
+}
+
+// The --json events written to stdout
+function jsonEvents(stdout) {
+  return stdout.trim().split('\n').map(line => JSON.parse(line));
+}
+
+// Write a program file to the temp directory
+function programFile(name, size) {
+  const filepath = path.join(os.tmpdir(), `multibootloader-cli-${process.pid}-${name}`);
+  const data = Buffer.alloc(size);
+  for (let i = 0; i < size; i++) {
+    data[i] = i % 251;
+  }
+  fs.writeFileSync(filepath, data);
+  return filepath;
+}
+
+describe('Command line', function () {
+  this.timeout(15000);
+
+  let sensor;
+  let motor;
+
+  before(function () {
+    sensor = programFile('sensor.bin', 300);
+    motor = programFile('motor.bin', 200);
+  });
+
+  after(function () {
+    [sensor, motor].forEach(filepath => fs.unlinkSync(filepath));
+  });
+
+  describe('Simulated bus', function () {
+
+    it('should broadcast the program to every node without --nodes', function () {
+      return run(['--simulate', '3', '--mcu', 'atmega328p', '--pacing', '1', '--json', sensor])
+      .then((result) => {
+        const summary = jsonEvents(result.stdout).pop();
+
+        expect(result.code).to.equal(0);
+        expect(summary.groups[0]).to.include({ nodes: null, status: 'complete' });
+        expect(summary.simulatedNodes.map(node => node.state)).to.deep.equal(['done', 'done', 'done']);
+        expect(summary.simulatedNodes.map(node => node.pagesWritten)).to.deep.equal([3, 3, 3]);
+      });
+    });
+  });
+
+  describe('Groups', function () {
+
+    it('should enter the bootloader and program each group in turn', function () {
+      return run(['--simulate', '4', '-c', '0xF0', '--mcu', 'atmega328p', '--pacing', '1', '--json', `${sensor}@1-2`, `${motor}@3-4`])
+      .then((result) => {
+        const summary = jsonEvents(result.stdout).pop();
+
+        expect(result.code).to.equal(0);
+        expect(summary).to.include({ event: 'summary', ok: true, exitCode: 0 });
+        expect(summary.groups.map(group => group.status)).to.deep.equal(['complete', 'complete']);
+        expect(summary.simulatedNodes.map(node => node.state)).to.deep.equal(['done', 'done', 'done', 'done']);
+        expect(summary.simulatedNodes.map(node => node.pagesWritten)).to.deep.equal([3, 3, 2, 2]);
+      });
+    });
+
+    it('should need the bootloader command for more than one group', function () {
+      return run(['--simulate', '4', '--mcu', 'atmega328p', `${sensor}@1-2`, `${motor}@3-4`])
+      .then((result) => {
+        expect(result.code).to.equal(12);
+        expect(result.stderr).to.match(/needs the bootloader command/);
+      });
+    });
+  });
+
+  describe('Exit codes', function () {
+
+    it('should exit with 0 when programming succeeds', function () {
+      return run(['--simulate', '2', '--mcu', 'atmega328p', '--pacing', '1', '--no-progress', sensor])
+      .then((result) => {
+        expect(result.code).to.equal(0);
+      });
+    });
+
+    it('should exit with the usage code when arguments are missing', function () {
+      return Promise.all([
+        run(['--simulate', '2', '--mcu', 'atmega328p']),
+        run(['--mcu', 'atmega328p', sensor]),
+        run(['config']),
+        run(['decode']),
+      ])
+      .then((results) => {
+        expect(results.map(result => result.code)).to.deep.equal([12, 12, 12, 12]);
+        expect(results[0].stdout).to.match(/Usage:/);
+        expect(results.map(result => result.stderr.trim())).to.deep.equal([
+          'Error: Missing the program file',
+          'Error: Missing --device, --baud',
+          "Error: Unknown config command ''. Use config show.",
+          'Error: Missing the capture file (multibootloader decode <capture.jsonl>)',
+        ]);
+      });
+    });
+
+    it('should exit with the signal timeout code when a page is not confirmed', function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multibootloader-cli-gpiod-'));
+      const count = path.join(dir, 'count');
+
+      // A gpioget that reads the line as enabled (nodes waiting in the bootloader), then disabled,
+      // and hangs on the 4th read, which confirms the second page
+      fs.writeFileSync(path.join(dir, 'gpioget'), [
+        '#!/bin/sh',
+        'if [ "$1" = "--version" ]; then echo "gpioget (libgpiod) v1.6.3"; exit 0; fi',
+        `n=$(($(cat ${count} 2>/dev/null || echo 0) + 1)); echo $n > ${count}`,
+        'if [ $n -ge 4 ]; then exec sleep 2; fi',
+        'if [ $n -eq 1 ]; then echo 0; else echo 1; fi',
+      ].join('\n'), { mode: 0o755 });
+
+      const args = ['--simulate', '2', '--mcu', 'atmega328p', '--pacing', '1', '--signal', 'gpiochip0:17', '--timeout', '300'];
+      return run(args.concat(['--json', sensor]), { PATH: `${dir}${path.delimiter}${process.env.PATH}` })
+      .then((result) => {
+        const events = jsonEvents(result.stdout);
+
+        expect(result.code).to.equal(6);
+        expect(events.find(event => event.event === 'error')).to.include({ code: 'ESIGNALTIMEOUT', fatal: true });
+        expect(events.pop()).to.include({ event: 'summary', ok: false, exitCode: 6 });
+      })
+      .then(() => {
+        fs.unlinkSync(path.join(dir, 'gpioget'));
+        fs.unlinkSync(count);
+        fs.rmdirSync(dir);
+      });
+    });
+
+    it('should exit with the error code when programming fails', function () {
+      return run(['--simulate', '2', '--mcu', 'atmega328p', '--no-progress', path.join(os.tmpdir(), 'multibootloader-cli-missing.bin')])
+      .then((result) => {
+        expect(result.code).to.equal(2);
+        expect(result.stdout).to.match(/FATAL ERROR: .*Could not read the program/);
+      });
+    });
+  });
+
+  describe('Output', function () {
+
+    it('should write usage errors as JSON events', function () {
+      return Promise.all([
+        run(['--json', '--simulate', '2', '--mcu', 'atmega328p']),
+        run(['--json', '--mcu', 'atmega328p', sensor]),
+        run(['--json', 'config', 'edit']),
+        run(['--json', 'replay']),
+      ])
+      .then((results) => {
+        results.forEach((result) => {
+          const events = jsonEvents(result.stdout);
+          expect(result.code).to.equal(12);
+          expect(events).to.have.length(1);
+          expect(events[0]).to.include({ event: 'error', code: 'EUSAGE', fatal: true });
+          expect(events[0].message).to.be.a('string');
+        });
+        expect(jsonEvents(results[0].stdout)[0].message).to.equal('Missing the program file');
+        expect(jsonEvents(results[1].stdout)[0].message).to.equal('Missing --device, --baud');
+      });
+    });
+
+    it('should write the programming events as JSON', function () {
+      return run(['--json', '--simulate', '2', '--mcu', 'atmega328p', '--pacing', '1', sensor])
+      .then((result) => {
+        const events = jsonEvents(result.stdout);
+        const types = events.map(event => event.event);
+        const progress = events.filter(event => event.event === 'progress');
+
+        expect(result.code).to.equal(0);
+        expect(types.filter(type => ['status', 'progress', 'summary'].indexOf(type) === -1)).to.deep.equal([]);
+        expect(types.pop()).to.equal('summary');
+        expect(events.find(event => event.message === 'Running bootloader')).to.deep.equal({
+          event: 'status',
+          file: sensor,
+          message: 'Running bootloader',
+        });
+        expect(progress).to.have.length(3);
+        expect(progress[2]).to.include({ file: sensor, bytesSent: 300, totalBytes: 300, pagesSent: 3, totalPages: 3, percent: 1 });
+        expect(events.pop()).to.include({ event: 'summary', ok: true, exitCode: 0 });
+      });
+    });
+
+    it('should write the failure as an error event and the summary', function () {
+      const missing = path.join(os.tmpdir(), 'multibootloader-cli-missing.bin');
+      return run(['--json', '--simulate', '2', '--mcu', 'atmega328p', missing])
+      .then((result) => {
+        const events = jsonEvents(result.stdout);
+        const error = events.find(event => event.event === 'error');
+
+        expect(result.code).to.equal(2);
+        expect(error).to.include({ file: missing, code: 'EIMAGEREAD', fatal: true });
+        expect(events.pop()).to.include({ event: 'summary', ok: false, exitCode: 2 });
+      });
+    });
+
+    it('should print plain progress lines with --no-progress', function () {
+      return run(['--no-progress', '--simulate', '2', '--mcu', 'atmega328p', '--pacing', '1', sensor])
+      .then((result) => {
+        const lines = result.stdout.split('\n');
+
+        expect(result.code).to.equal(0);
+        expect(lines).to.include('Program file read (bin): 3 pages (300 bytes)');
+        expect(lines.filter(line => /^Sending: \d+% /.test(line))).to.have.length(3);
+        expect(lines).to.include('Programming complete!');
+        expect(lines).to.include('Finished programming');
+        expect(lines.filter(line => /^Sent 300 bytes in .* bytes\/s, 1ms between pages\)$/.test(line))).to.have.length(1);
+        expect(lines.filter(line => !/^Sending: /.test(line) && /bytes\/s/.test(line))).to.have.length(1);
+        expect(lines.some(line => /^Sending page /.test(line) || /^\{/.test(line))).to.equal(false);
+      });
+    });
+  });
+
+  describe('Network devices', function () {
+
+    it('should not use a serial signal line with a raw TCP bridge', function () {
+      return run(['--device', 'tcp://127.0.0.1:4001', '--baud', '115200', '--mcu', 'atmega328p', '--signal', 'dsr', sensor])
+      .then((result) => {
+        expect(result.code).to.equal(12);
+        expect(result.stderr).to.match(/raw TCP bridge can't read the DSR line/);
+      });
+    });
+  });
+});
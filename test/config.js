@@ -0,0 +1,179 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const config = require('../dist/config');
+
+const DEFINITIONS = [
+  { name: 'baud', parse: parseInt },
+  { name: 'device' },
+  { name: 'pageSize', parse: parseInt },
+  { name: 'command' },
+  { name: 'crc', flag: true },
+];
+
+describe('Config', function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multibootloader-'));
+  });
+
+  afterEach(function () {
+    removeDir(dir);
+  });
+
+  function removeDir(target) {
+    fs.readdirSync(target).forEach((name) => {
+      const file = path.join(target, name);
+      if (fs.statSync(file).isDirectory()) {
+        removeDir(file);
+      } else {
+        fs.unlinkSync(file);
+      }
+    });
+    fs.rmdirSync(target);
+  }
+
+  function writeConfig(target, content) {
+    const file = path.join(target, config.CONFIG_FILE);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  describe('findConfigFile', function () {
+
+    it('should find the config file in a parent directory before the home directory', function () {
+      const project = path.join(dir, 'project');
+      const home = path.join(dir, 'home');
+      const cwd = path.join(project, 'src');
+      [project, home, cwd].forEach(d => fs.mkdirSync(d));
+
+      const homeFile = writeConfig(home, '{}');
+      expect(config.findConfigFile(cwd, home)).to.equal(homeFile);
+
+      const projectFile = writeConfig(project, '{}');
+      expect(config.findConfigFile(cwd, home)).to.equal(projectFile);
+    });
+
+    it('should return null when there is no config file', function () {
+      expect(config.findConfigFile(dir, dir)).to.equal(null);
+    });
+  });
+
+  describe('readConfigFile', function () {
+
+    it('should read JSON', function () {
+      const file = writeConfig(dir, '{ "baud": 9600, "profiles": { "bench": { "page-size": 64 } } }');
+      const result = config.readConfigFile(file);
+
+      expect(result.file).to.equal(file);
+      expect(result.options).to.deep.equal({ baud: 9600 });
+      expect(result.profiles).to.deep.equal({ bench: { pageSize: 64 } });
+      expect(result.profile).to.equal(null);
+    });
+
+    it('should read YAML', function () {
+      const file = writeConfig(dir, [
+        'baud: 115200',
+        'profile: bench-a',
+        'profiles:',
+        '  bench-a:',
+        '    device: /dev/ttyUSB0',
+        '    page_size: 128',
+        '    crc: true',
+      ].join('\n'));
+      const result = config.readConfigFile(file);
+
+      expect(result.options).to.deep.equal({ baud: 115200 });
+      expect(result.profile).to.equal('bench-a');
+      expect(result.profiles['bench-a']).to.deep.equal({ device: '/dev/ttyUSB0', pageSize: 128, crc: true });
+    });
+
+    it('should reject files that are not an object of options', function () {
+      const file = writeConfig(dir, '- baud\n- device\n');
+      expect(() => config.readConfigFile(file)).to.throw(/must contain an object/);
+
+      writeConfig(dir, '{ "baud": ');
+      expect(() => config.readConfigFile(file)).to.throw(/Could not read the config file/);
+    });
+  });
+
+  describe('envOptions', function () {
+
+    it('should read the prefixed environment variables', function () {
+      const env = {
+        MULTIBOOTLOADER_PAGE_SIZE: '64',
+        MULTIBOOTLOADER_DEVICE: '',
+        PAGE_SIZE: '32',
+      };
+      expect(config.envName('pageSize')).to.equal('MULTIBOOTLOADER_PAGE_SIZE');
+      expect(config.envOptions(['pageSize', 'device'], env)).to.deep.equal({ pageSize: '64' });
+    });
+  });
+
+  describe('resolveOptions', function () {
+    const file = {
+      file: '.multibootloaderrc',
+      options: { baud: 9600, device: '/dev/ttyS0', pageSize: 64 },
+      profile: 'bench-a',
+      profiles: {
+        'bench-a': { device: '/dev/ttyUSB0', command: 160 },
+        'bench-b': { device: 'tcp://bridge:4000', crc: 'yes' },
+      },
+    };
+
+    it('should take each option from the first source that sets it', function () {
+      const result = config.resolveOptions(DEFINITIONS, {
+        cli: { baud: 115200 },
+        env: { pageSize: '128', baud: '57600' },
+        config: file,
+        defaults: { crc: false, device: '/dev/null' },
+      });
+
+      expect(result.profile).to.equal('bench-a');
+      expect(result.values).to.deep.equal({
+        baud: 115200,
+        device: '/dev/ttyUSB0',
+        pageSize: 128,
+        command: '160',
+        crc: false,
+      });
+      expect(result.source).to.deep.equal({
+        baud: 'cli',
+        device: 'profile bench-a',
+        pageSize: 'env',
+        command: 'profile bench-a',
+        crc: 'default',
+      });
+    });
+
+    it('should use the chosen profile', function () {
+      const result = config.resolveOptions(DEFINITIONS, { config: file, profile: 'bench-b' });
+      expect(result.values).to.deep.equal({ baud: 9600, device: 'tcp://bridge:4000', pageSize: 64, crc: true });
+    });
+
+    it('should convert environment variable flags', function () {
+      expect(config.resolveOptions(DEFINITIONS, { env: { crc: 'true' } }).values.crc).to.equal(true);
+      expect(config.resolveOptions(DEFINITIONS, { env: { crc: '0' } }).values.crc).to.equal(false);
+      expect(() => config.resolveOptions(DEFINITIONS, { env: { crc: 'maybe' } })).to.throw(/must be true or false/);
+    });
+
+    it('should list the profiles when the profile is unknown', function () {
+      expect(() => config.resolveOptions(DEFINITIONS, { config: file, profile: 'bench-c' }))
+        .to.throw(/Unknown profile 'bench-c' in \.multibootloaderrc\. The profiles are: bench-a, bench-b/);
+      expect(() => config.resolveOptions(DEFINITIONS, { profile: 'bench-c' }))
+        .to.throw(/there is no config file/);
+    });
+
+    it('should reject unknown options', function () {
+      const unknown = Object.assign({}, file, { options: { speed: 9600 } });
+      expect(() => config.resolveOptions(DEFINITIONS, { config: unknown })).to.throw(/Unknown option 'speed' \(from the config file\)/);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const crc = require('../dist/crc');
+
+const CHECK_DATA = Buffer.from('123456789', 'ascii');
+
+describe('CRC', function () {
+
+  it('should calculate the avr-libc CRC-16', function () {
+    expect(crc.crc16(CHECK_DATA)).to.be.equal(0x4B37);
+  });
+
+  it('should calculate the CRC-16 in chunks', function () {
+    const first = crc.crc16(CHECK_DATA.slice(0, 4));
+    expect(crc.crc16(CHECK_DATA.slice(4), first)).to.be.equal(0x4B37);
+  });
+
+  it('should calculate the standard CRC-32', function () {
+    expect(crc.crc32(CHECK_DATA)).to.be.equal(0xCBF43926);
+  });
+
+  it('should calculate the CRC-32 in chunks', function () {
+    const first = crc.crc32(CHECK_DATA.slice(0, 4));
+    expect(crc.crc32(CHECK_DATA.slice(4), first)).to.be.equal(0xCBF43926);
+  });
+
+  it('should convert numbers to bytes, high byte first', function () {
+    expect(crc.toBytes(0x012C, 2)).to.deep.equal([0x01, 0x2C]);
+    expect(crc.toBytes(0xCBF43926, 4)).to.deep.equal([0xCB, 0xF4, 0x39, 0x26]);
+    expect(crc.toBytes(5, 1)).to.deep.equal([5]);
+  });
+});
@@ -0,0 +1,96 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const expect = require('chai').expect;
+const Rx = require('rxjs');
+
+const discover = require('../dist/discover');
+
+const MSG_INFO = 0xF5;
+
+/**
+ * A fake DiscoBus master, with nodes that respond to the info message.
+ */
+function fakeDisco(responses) {
+  let message = {};
+
+  return {
+    nodeNum: 0,
+    sent: [],
+
+    addressNodes() {
+      return Rx.Observable.create((observer) => {
+        Object.keys(responses).forEach(addr => observer.next(Number(addr)));
+        this.nodeNum = Object.keys(responses).length;
+        observer.complete();
+      });
+    },
+
+    startMessage(cmd, len, options) {
+      message = { cmd, len, options };
+      this.sent.push(message);
+      return this;
+    },
+
+    endMessage() {
+      const response = responses[message.options.destination];
+      return Rx.Observable.create((observer) => {
+        if (response) {
+          observer.next(response);
+        }
+        observer.complete();
+      });
+    },
+  };
+}
+
+describe('Discover', function () {
+
+  it('should parse node info', function () {
+    const info = discover.parseInfo(4, [1, 2, 3, 4, 0x1E, 0x95, 0x0F, 0x00, 0x80]);
+    expect(info).to.deep.equal({
+      address: 4,
+      bootloaderVersion: { major: 1, minor: 2 },
+      appVersion: { major: 3, minor: 4 },
+      signature: [0x1E, 0x95, 0x0F],
+      pageSize: 128,
+    });
+  });
+
+  it('should address the bus and query each node', function () {
+    const disco = fakeDisco({
+      1: [1, 0, 2, 5, 0x1E, 0x95, 0x0F, 0x00, 0x80],
+      2: [1, 1, 2, 4, 0x1E, 0x98, 0x01, 0x01, 0x00],
+    });
+
+    return discover.discover(disco).then((nodes) => {
+      expect(nodes.map(n => n.address)).to.deep.equal([1, 2]);
+      expect(nodes[1].pageSize).to.equal(256);
+      expect(disco.sent.map(m => m.cmd)).to.deep.equal([MSG_INFO, MSG_INFO]);
+      expect(disco.sent[0].options.responseMsg).to.equal(true);
+    });
+  });
+
+  it('should only query the given nodes', function () {
+    const disco = fakeDisco({
+      1: [1, 0, 2, 5, 0x1E, 0x95, 0x0F, 0x00, 0x80],
+      5: [1, 0, 2, 5, 0x1E, 0x95, 0x0F, 0x00, 0x80],
+    });
+
+    return discover.discover(disco, { nodes: '4-5' }).then((nodes) => {
+      expect(nodes.map(n => n.address)).to.deep.equal([5]);
+      expect(disco.sent.map(m => m.options.destination)).to.deep.equal([4, 5]);
+    });
+  });
+
+  it('should leave out nodes that do not respond', function () {
+    const disco = fakeDisco({
+      1: [1, 0, 2, 5, 0x1E, 0x95, 0x0F, 0x00, 0x80],
+    });
+
+    return discover.discover(disco, { nodes: [1, 2], responseTimeout: 20 }).then((nodes) => {
+      expect(nodes.map(n => n.address)).to.deep.equal([1]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const MultiBootloader = require('../dist/lib');
+const parseBytes = require('../dist/entry').parseBytes;
+const SimulatedSerialPort = require('../dist/simulator').SimulatedSerialPort;
+
+const COMMAND = 0xA0;
+
+function states(bus) {
+  return bus.nodes.map(node => node.state);
+}
+
+describe('Bootloader entry', function () {
+  this.timeout(5000);
+
+  it('should put the nodes into the bootloader', function () {
+    const bus = new SimulatedSerialPort({ nodes: 3, command: COMMAND });
+    expect(states(bus)).to.deep.equal(['app', 'app', 'app']);
+
+    return MultiBootloader.enterBootloader(bus, { command: COMMAND })
+    .then((result) => {
+      expect(result.sent).to.equal(1);
+      expect(states(bus)).to.deep.equal(['bootloader', 'bootloader', 'bootloader']);
+    });
+  });
+
+  it('should send the command data', function () {
+    const bus = new SimulatedSerialPort({ nodes: 2, command: COMMAND, commandData: [0x55, 0xAA] });
+
+    return MultiBootloader.enterBootloader(bus, { command: COMMAND, data: [0x55, 0xAA] })
+    .then(() => {
+      expect(states(bus)).to.deep.equal(['bootloader', 'bootloader']);
+    });
+  });
+
+  it('should time out when the nodes do not enter the bootloader', function () {
+    const bus = new SimulatedSerialPort({ nodes: 2, command: COMMAND, commandData: [0x55, 0xAA] });
+
+    return MultiBootloader.enterBootloader(bus, { command: COMMAND, data: [0x55], readyTimeout: 200 })
+    .then(() => {
+      throw new Error('Should time out');
+    }, (err) => {
+      expect(err).to.be.an.instanceof(MultiBootloader.SignalTimeoutError);
+      expect(err.message).to.match(/did not enter the bootloader within 200ms/);
+      expect(states(bus)).to.deep.equal(['app', 'app']);
+    });
+  });
+
+  it('should repeat the command', function () {
+    const bus = new SimulatedSerialPort({ nodes: 2, command: COMMAND, faults: { missCommands: 2 } });
+
+    return MultiBootloader.enterBootloader(bus, { command: COMMAND, repeat: 3, interval: 10 })
+    .then((result) => {
+      expect(result.sent).to.equal(3);
+      expect(states(bus)).to.deep.equal(['bootloader', 'bootloader']);
+    });
+  });
+
+  it('should wait for the signal line', function () {
+    const bus = new SimulatedSerialPort({ nodes: 2, command: COMMAND, faults: { entryDelay: 300 } });
+
+    return MultiBootloader.enterBootloader(bus, { command: COMMAND })
+    .then((result) => {
+      expect(result.waited).to.be.at.least(250);
+      expect(states(bus)).to.deep.equal(['bootloader', 'bootloader']);
+    });
+  });
+
+  it('should wait the ready delay without a signal line', function () {
+    const bus = new SimulatedSerialPort({ nodes: 1, command: COMMAND });
+    const start = Date.now();
+
+    return MultiBootloader.enterBootloader(bus, { command: COMMAND, signal: 'none', readyDelay: 150 })
+    .then(() => {
+      expect(Date.now() - start).to.be.at.least(140);
+    });
+  });
+
+  it('should address the nodes', function () {
+    const bus = new SimulatedSerialPort({ nodes: 3, command: COMMAND });
+
+    return MultiBootloader.enterBootloader(bus, { command: COMMAND, nodes: '1,3', repeat: 2, interval: 0 })
+    .then((result) => {
+      expect(result.sent).to.equal(4);
+      expect(states(bus)).to.deep.equal(['bootloader', 'app', 'bootloader']);
+    });
+  });
+
+  it('should reject an invalid command', function () {
+    const bus = new SimulatedSerialPort({ nodes: 1 });
+
+    return MultiBootloader.enterBootloader(bus, { command: 300 })
+    .then(() => {
+      throw new Error('Should reject');
+    }, (err) => {
+      expect(err.message).to.match(/from 0 to 255/);
+    });
+  });
+
+  it('should parse bytes', function () {
+    expect(parseBytes('')).to.deep.equal([]);
+    expect(parseBytes('55aa')).to.deep.equal([0x55, 0xAA]);
+    expect(parseBytes('55 AA 01')).to.deep.equal([0x55, 0xAA, 0x01]);
+    expect(parseBytes('0x55, 170')).to.deep.equal([0x55, 0xAA]);
+    expect(parseBytes('0x55')).to.deep.equal([0x55]);
+    expect(() => parseBytes('0x100')).to.throw(/Invalid bytes/);
+    expect(() => parseBytes('5')).to.throw(/Invalid bytes/);
+  });
+});
@@ -0,0 +1,57 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const errors = require('../dist/errors');
+
+describe('Errors', function () {
+
+  it('should be instances of Error and BootloaderError', function () {
+    const err = new errors.MaxRetriesError('Too many tries');
+    expect(err).to.be.an.instanceof(Error);
+    expect(err).to.be.an.instanceof(errors.BootloaderError);
+    expect(err).to.be.an.instanceof(errors.MaxRetriesError);
+    expect(err).to.not.be.an.instanceof(errors.NodeVerifyError);
+    expect(err.name).to.equal('MaxRetriesError');
+    expect(err.stack).to.match(/^MaxRetriesError: Too many tries/);
+  });
+
+  it('should have a code for each error class', function () {
+    const codes = Object.keys(errors)
+      .filter(name => name !== 'BootloaderError')
+      .map(name => new errors[name]('message').code);
+
+    expect(codes).to.not.include('EBOOTLOADER');
+    expect(codes.length).to.equal(Object.keys(codes.reduce((all, code) => {
+      all[code] = true;
+      return all;
+    }, {})).length);
+  });
+
+  it('should carry the page, retries and cause', function () {
+    const cause = new errors.NodeVerifyError('Bad page', { page: 3 });
+    const err = new errors.MaxRetriesError('Too many tries', { page: 3, retries: 2, cause, code: 'OTHER' });
+
+    expect(err.code).to.equal('EMAXRETRIES');
+    expect(err.page).to.equal(3);
+    expect(err.retries).to.equal(2);
+    expect(err.cause).to.equal(cause);
+  });
+
+  it('should not have a page before sending pages', function () {
+    const err = new errors.SignalTimeoutError('Timed out', { page: -1 });
+    expect(err.page).to.equal(null);
+    expect(err.retries).to.equal(0);
+  });
+
+  it('should convert to the message string', function () {
+    expect(`${new errors.ImageParseError('Not a HEX file')}`).to.equal('Not a HEX file');
+  });
+
+  it('should keep the abort reason', function () {
+    expect(new errors.AbortError('Interrupted').reason).to.equal('Interrupted');
+    expect(new errors.AbortError().message).to.equal('Programming was aborted');
+  });
+});
@@ -0,0 +1,263 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const firmware = require('../dist/firmware');
+
+/**
+ * Build an S-record line with a valid byte count and checksum.
+ */
+function srecLine(type, address, addrLen, data) {
+  const bytes = [addrLen + data.length + 1];
+  for (let i = addrLen - 1; i >= 0; i--) {
+    bytes.push((address >> (i * 8)) & 0xFF);
+  }
+  bytes.push.apply(bytes, data);
+
+  const sum = bytes.reduce((a, b) => (a + b) & 0xFF, 0);
+  bytes.push((~sum) & 0xFF);
+  return `S${type}${Buffer.from(bytes).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Build an Intel Hex record line with a valid checksum.
+ */
+function hexLine(type, address, data) {
+  const bytes = [data.length, (address >> 8) & 0xFF, address & 0xFF, type].concat(data);
+  const sum = bytes.reduce((a, b) => (a + b) & 0xFF, 0);
+  bytes.push((0x100 - sum) & 0xFF);
+  return `:${Buffer.from(bytes).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Convert segments to plain arrays, for easy comparison.
+ */
+function plain(segments) {
+  return segments.map(seg => ({ address: seg.address, data: Array.from(seg.data) }));
+}
+
+/**
+ * Build a minimal little endian 32-bit ELF file with one PT_LOAD segment per entry.
+ */
+function buildElf(segments) {
+  const headerSize = 52;
+  const phSize = 32;
+  const dataStart = headerSize + (phSize * segments.length);
+  const dataLength = segments.reduce((len, seg) => len + seg.data.length, 0);
+  const buf = Buffer.alloc(dataStart + dataLength, 0);
+
+  buf[0] = 0x7F;
+  buf.write('ELF', 1, 'ascii');
+  buf[4] = 1; // 32-bit
+  buf[5] = 1; // Little endian
+  buf.writeUInt32LE(headerSize, 28); // e_phoff
+  buf.writeUInt16LE(phSize, 42); // e_phentsize
+  buf.writeUInt16LE(segments.length, 44); // e_phnum
+
+  let offset = dataStart;
+  segments.forEach((seg, i) => {
+    const ph = headerSize + (i * phSize);
+    buf.writeUInt32LE(seg.type || 1, ph);
+    buf.writeUInt32LE(offset, ph + 4);
+    buf.writeUInt32LE(seg.address, ph + 8);
+    buf.writeUInt32LE(seg.address, ph + 12);
+    buf.writeUInt32LE(seg.data.length, ph + 16);
+    buf.writeUInt32LE(seg.data.length, ph + 20);
+    Buffer.from(seg.data).copy(buf, offset);
+    offset += seg.data.length;
+  });
+  return buf;
+}
+
+describe('Firmware format detection', function () {
+
+  it('should detect format by file extension', function () {
+    const content = Buffer.from([1, 2, 3]);
+    expect(firmware.detectFormat(content, 'app.hex')).to.equal('hex');
+    expect(firmware.detectFormat(content, 'app.ELF')).to.equal('elf');
+    expect(firmware.detectFormat(content, 'app.s19')).to.equal('srec');
+    expect(firmware.detectFormat(content, 'app.bin')).to.equal('bin');
+  });
+
+  it('should detect format by magic bytes', function () {
+    expect(firmware.detectFormat(buildElf([{ address: 0, data: [1] }]), 'app')).to.equal('elf');
+    expect(firmware.detectFormat(Buffer.from(':00000001FF\n'), 'app')).to.equal('hex');
+    expect(firmware.detectFormat(Buffer.from(srecLine(1, 0, 2, [1, 2])), 'app')).to.equal('srec');
+  });
+
+  it('should fall back to raw binary', function () {
+    expect(firmware.detectFormat(Buffer.from([0, 1, 2, 3]))).to.equal('bin');
+  });
+});
+
+describe('Firmware parsing', function () {
+
+  it('should parse Intel Hex', function () {
+    const hex = ':0400000001020304F2\n:00000001FF\n';
+    const result = firmware.parseFirmware(Buffer.from(hex), { filepath: 'app.hex' });
+    expect(result.format).to.equal('hex');
+    expect(result.bytes).to.equal(4);
+    expect(plain(result.segments)).to.deep.equal([{ address: 0, data: [1, 2, 3, 4] }]);
+  });
+
+  it('should merge contiguous Intel Hex records', function () {
+    const hex = [
+      hexLine(0, 0x0002, [3, 4]),
+      hexLine(0, 0x0000, [1, 2]),
+      hexLine(1, 0, []),
+    ].join('\n');
+
+    const result = firmware.parseFirmware(Buffer.from(hex), { filepath: 'app.hex' });
+    expect(plain(result.segments)).to.deep.equal([{ address: 0, data: [1, 2, 3, 4] }]);
+  });
+
+  it('should apply Intel Hex extended address records', function () {
+    const hex = [
+      hexLine(0, 0x0000, [1, 2]),
+      hexLine(4, 0, [0x00, 0x01]), // Extended linear: 0x10000
+      hexLine(0, 0x0010, [3]),
+      hexLine(2, 0, [0x20, 0x00]), // Extended segment: 0x20000
+      hexLine(0, 0x0004, [4]),
+      hexLine(5, 0, [0, 0, 0, 0]),
+      hexLine(1, 0, []),
+    ].join('\n');
+
+    const result = firmware.parseFirmware(Buffer.from(hex), { filepath: 'app.hex' });
+    expect(plain(result.segments)).to.deep.equal([
+      { address: 0, data: [1, 2] },
+      { address: 0x10010, data: [3] },
+      { address: 0x20004, data: [4] },
+    ]);
+  });
+
+  it('should parse Intel Hex at high addresses', function () {
+    const hex = [
+      hexLine(4, 0, [0x08, 0x00]), // Extended linear: 0x08000000
+      hexLine(0, 0x0000, [1, 2]),
+      hexLine(4, 0, [0x90, 0x00]), // Extended linear: 0x90000000
+      hexLine(0, 0x0010, [3]),
+      hexLine(1, 0, []),
+    ].join('\n');
+
+    const result = firmware.parseFirmware(Buffer.from(hex), { filepath: 'app.hex' });
+    expect(plain(result.segments)).to.deep.equal([
+      { address: 0x08000000, data: [1, 2] },
+      { address: 0x90000010, data: [3] },
+    ]);
+  });
+
+  it('should reject Intel Hex without an EOF record', function () {
+    const hex = hexLine(0, 0, [1, 2]);
+    expect(() => firmware.parseFirmware(Buffer.from(hex), { format: 'hex' })).to.throw(/EOF/);
+  });
+
+  it('should reject Intel Hex with bad checksums', function () {
+    const hex = `${hexLine(0, 0, [1, 2]).slice(0, -2)}00\n${hexLine(1, 0, [])}`;
+    expect(() => firmware.parseFirmware(Buffer.from(hex), { format: 'hex' })).to.throw(/checksum/);
+  });
+
+  it('should parse raw binary', function () {
+    const result = firmware.parseFirmware(Buffer.from([9, 8, 7]), { filepath: 'app.bin' });
+    expect(result.format).to.equal('bin');
+    expect(plain(result.segments)).to.deep.equal([{ address: 0, data: [9, 8, 7] }]);
+  });
+
+  it('should parse S-records', function () {
+    const srec = [
+      srecLine(0, 0, 2, [0x41]),
+      srecLine(1, 0x0000, 2, [1, 2]),
+      srecLine(2, 0x000004, 3, [5, 6]),
+      srecLine(9, 0, 2, []),
+    ].join('\n');
+
+    const result = firmware.parseFirmware(Buffer.from(srec), { filepath: 'app.srec' });
+    expect(result.format).to.equal('srec');
+    expect(plain(result.segments)).to.deep.equal([
+      { address: 0, data: [1, 2] },
+      { address: 4, data: [5, 6] },
+    ]);
+  });
+
+  it('should reject S-records with bad checksums', function () {
+    const srec = `${srecLine(1, 0, 2, [1, 2]).slice(0, -2)}00`;
+    expect(() => firmware.parseFirmware(Buffer.from(srec), { format: 'srec' })).to.throw(/checksum/);
+  });
+
+  it('should parse ELF loadable segments by physical address', function () {
+    const elf = buildElf([
+      { address: 0, data: [1, 2, 3] },
+      { address: 4, data: [4] },
+      { address: 0, data: [0xAA], type: 4 }, // PT_NOTE, ignored
+      { address: 0x810000, data: [0xEE] }, // AVR EEPROM, ignored
+    ]);
+
+    const result = firmware.parseFirmware(elf, { filepath: 'app.elf' });
+    expect(result.format).to.equal('elf');
+    expect(plain(result.segments)).to.deep.equal([
+      { address: 0, data: [1, 2, 3] },
+      { address: 4, data: [4] },
+    ]);
+  });
+
+  it('should parse the ELF EEPROM segment for the EEPROM', function () {
+    const elf = buildElf([
+      { address: 0, data: [1, 2, 3] },
+      { address: 0x800100, data: [0x55] }, // SRAM, ignored
+      { address: 0x810004, data: [0xEE, 0xEF] },
+    ]);
+
+    const result = firmware.parseFirmware(elf, { filepath: 'app.elf', memory: 'eeprom' });
+    expect(plain(result.segments)).to.deep.equal([
+      { address: 4, data: [0xEE, 0xEF] },
+    ]);
+  });
+
+  it('should reject an ELF file without an EEPROM segment for the EEPROM', function () {
+    const elf = buildElf([{ address: 0, data: [1, 2, 3] }]);
+    expect(() => firmware.parseFirmware(elf, { format: 'elf', memory: 'eeprom' })).to.throw(/no EEPROM segment/);
+  });
+
+  it('should let the format be forced', function () {
+    const result = firmware.parseFirmware(Buffer.from(':00000001FF\n'), { filepath: 'app.hex', format: 'bin' });
+    expect(result.format).to.equal('bin');
+    expect(result.bytes).to.equal(12);
+  });
+
+  it('should throw on unknown formats', function () {
+    expect(() => firmware.parseFirmware(Buffer.from([1]), { format: 'foo' })).to.throw(/Unknown firmware format/);
+  });
+});
+
+describe('Firmware pages', function () {
+
+  it('should number pages by flash address', function () {
+    const pages = firmware.buildPages([
+      { address: 0x100, data: Buffer.from([1, 2, 3, 4, 5, 6]) },
+    ], 4);
+
+    expect(pages.map(p => p.number)).to.deep.equal([0x40, 0x41]);
+    expect(pages.map(p => p.address)).to.deep.equal([0x100, 0x104]);
+    expect(Array.from(pages[0].data)).to.deep.equal([1, 2, 3, 4]);
+    expect(Array.from(pages[1].data)).to.deep.equal([5, 6]);
+  });
+
+  it('should fill partial pages and skip gaps between segments', function () {
+    const pages = firmware.buildPages([
+      { address: 0, data: Buffer.from([1, 2]) },
+      { address: 17, data: Buffer.from([3]) },
+    ], 4);
+
+    expect(pages.map(p => p.number)).to.deep.equal([0, 4]);
+    expect(Array.from(pages[0].data)).to.deep.equal([1, 2, 0xFF, 0xFF]);
+    expect(Array.from(pages[1].data)).to.deep.equal([0xFF, 3]);
+  });
+
+  it('should only skip blank pages when asked', function () {
+    const segments = [{ address: 0, data: Buffer.from([1, 0xFF, 0xFF, 0xFF, 0xFF, 2]) }];
+
+    expect(firmware.buildPages(segments, 2).map(p => p.number)).to.deep.equal([0, 1, 2]);
+    expect(firmware.buildPages(segments, 2, { skipBlankPages: true }).map(p => p.number)).to.deep.equal([0, 2]);
+  });
+});
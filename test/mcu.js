@@ -0,0 +1,52 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const mcu = require('../dist/mcu');
+
+function node(address, signature) {
+  return { address, signature };
+}
+
+describe('MCU table', function () {
+
+  it('should find parts by name', function () {
+    expect(mcu.findMcu('ATmega328P').pageSize).to.equal(128);
+    expect(mcu.findMcu('atmega2560').pageSize).to.equal(256);
+    expect(mcu.findMcu('atmega9999')).to.equal(null);
+  });
+
+  it('should find parts by signature', function () {
+    expect(mcu.findMcuBySignature([0x1E, 0x95, 0x0F]).name).to.equal('atmega328p');
+    expect(mcu.findMcuBySignature([0x1E, 0x00, 0x00])).to.equal(null);
+  });
+
+  it('should have unique names and signatures', function () {
+    const names = mcu.MCUS.map(m => m.name);
+    const signatures = mcu.MCUS.map(m => mcu.formatSignature(m.signature));
+    expect(names.filter((n, i) => names.indexOf(n) !== i)).to.deep.equal([]);
+    expect(signatures.filter((s, i) => signatures.indexOf(s) !== i)).to.deep.equal([]);
+  });
+
+  it('should format signatures', function () {
+    expect(mcu.formatSignature([0x1E, 0x95, 0x0F])).to.equal('0x1E 0x95 0x0F');
+  });
+
+  it('should detect the part from the nodes', function () {
+    const part = mcu.detectMcu([node(1, [0x1E, 0x98, 0x01]), node(2, [0x1E, 0x98, 0x01])]);
+    expect(part.name).to.equal('atmega2560');
+  });
+
+  it('should not detect the part when nodes disagree', function () {
+    expect(() => {
+      mcu.detectMcu([node(1, [0x1E, 0x95, 0x0F]), node(2, [0x1E, 0x98, 0x01])]);
+    }).to.throw(/different MCU signatures/);
+  });
+
+  it('should not detect unknown parts', function () {
+    expect(() => mcu.detectMcu([node(1, [0x1E, 0x00, 0x00])])).to.throw(/Unknown MCU signature/);
+    expect(() => mcu.detectMcu([])).to.throw(/no nodes/);
+  });
+});
@@ -0,0 +1,16 @@
+'use strict';
+
+// Runs the command line tool with the arguments after this file's path, for the CLI tests.
+// The serial port and terminal modules are stubbed out, so it's meant to be used with --simulate.
+const proxyquire = require('proxyquire');
+const SerialPortMock = require('./serialport.mock');
+
+SerialPortMock['@noCallThru'] = true;
+
+proxyquire('../../dist/bin/multibootloader', {
+  serialport: SerialPortMock,
+  'terminal-kit': {
+    terminal: {},
+    '@noCallThru': true,
+  },
+});
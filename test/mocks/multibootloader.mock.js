@@ -18,17 +18,24 @@ const fsStub = {
     for (let i = 0; i < 35; i++) {
       testProgram.push(i);
     }
-    callback(null, Buffer.from(testProgram));
+    callback(null, Buffer.from(toIntelHex(testProgram)));
   }
 };
 
-const intelHexStub = {
-  parse: (data) => {
-    return { data: data };
+// Convert data, starting at address 0, to Intel Hex records
+function toIntelHex(data) {
+  let hex = '';
+  for (let addr = 0; addr < data.length; addr += 16) {
+    const record = [0, (addr >> 8) & 0xFF, addr & 0xFF, 0].concat(data.slice(addr, addr + 16));
+    record[0] = record.length - 4;
+
+    const sum = record.reduce((a, b) => (a + b) & 0xFF, 0);
+    record.push((0x100 - sum) & 0xFF);
+    hex += `:${Buffer.from(record).toString('hex').toUpperCase()}\n`;
   }
-};
+  return `${hex}:00000001FF\n`;
+}
 
 module.exports = proxyquire('../../dist/lib', {
   fs: fsStub,
-  'intel-hex': intelHexStub,
 });
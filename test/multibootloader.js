@@ -6,6 +6,7 @@ const sinon = require('sinon');
 const chai = require('chai');
 const expect = require('chai').expect;
 const sinonChai = require("sinon-chai");
+const PassThrough = require('stream').PassThrough;
 
 chai.use(sinonChai);
 
@@ -16,6 +17,7 @@ const MSG_START = 0xF1;
 const MSG_PAGE_NUM = 0xF2;
 const MSG_PAGE_DATA = 0xF3;
 const MSG_END = 0xF4;
+const MSG_ROLLBACK = 0xF6;
 
 /**
  * General object construction
@@ -31,6 +33,22 @@ describe('MultiBootloader Constructor', function () {
     expect(() => { new MultiBootloader(serial); }).to.throw(Error);
   });
 
+  it('should get the page size from the MCU type', function () {
+    const bootloader = new MultiBootloader(serial, {
+      mcu: 'atmega328p',
+    });
+    expect(bootloader._opt.pageSize).to.equal(128);
+    expect(bootloader.mcu.name).to.equal('atmega328p');
+  });
+
+  it('should throw an exception with an unknown MCU type', function () {
+    expect(() => { new MultiBootloader(serial, { mcu: 'atmega9999' }); }).to.throw(/Unknown MCU/);
+  });
+
+  it('should throw an exception when the page size does not match the MCU type', function () {
+    expect(() => { new MultiBootloader(serial, { mcu: 'atmega328p', pageSize: 64 }); }).to.throw(/does not match/);
+  });
+
   it('should default version number when none is set', function () {
     const bootloader = new MultiBootloader(serial, {
       pageSize: 10,
@@ -50,6 +68,50 @@ describe('MultiBootloader Constructor', function () {
     expect(bootloader._opt.version.minor).to.equal(0);
   });
 
+  it('should throw an exception with an unsupported protocol version', function () {
+    expect(() => {
+      new MultiBootloader(serial, { pageSize: 10, protocolVersion: 3 });
+    }).to.throw(/protocol version/);
+  });
+
+  it('should throw an exception with an unknown retry strategy', function () {
+    expect(() => {
+      new MultiBootloader(serial, { pageSize: 10, retryStrategy: 'again' });
+    }).to.throw(/retry strategy/);
+  });
+
+  it('should throw an exception with unknown pacing', function () {
+    expect(() => {
+      new MultiBootloader(serial, { pageSize: 10, pacing: 'slow' });
+    }).to.throw(/pacing/);
+  });
+
+  it('should get the baud rate from the serial port', function () {
+    const bootloader = new MultiBootloader(new SerialPort('/dev/null', { baudRate: 57600 }), { pageSize: 10 });
+    expect(bootloader._opt.baudRate).to.equal(57600);
+  });
+
+  it('should throw an exception with an unknown abort message', function () {
+    expect(() => {
+      new MultiBootloader(serial, { pageSize: 10, abortMessage: 'reset' });
+    }).to.throw(/abort message/);
+  });
+
+  it('should parse target node addresses', function () {
+    const bootloader = new MultiBootloader(serial, {
+      pageSize: 10,
+      targets: '3-5,9',
+    });
+    expect(bootloader.targets).to.deep.equal([3, 4, 5, 9]);
+  });
+
+  it('should broadcast when there are no targets', function () {
+    const bootloader = new MultiBootloader(serial, {
+      pageSize: 10,
+    });
+    expect(bootloader.targets).to.be.equal(null);
+  });
+
   it('should default major version number', function () {
     const bootloader = new MultiBootloader(serial, {
       pageSize: 10,
@@ -140,6 +202,42 @@ describe('Programming', function () {
     };
   });
 
+  it('should read the signal line from another serial line', function () {
+    bootloader = new MultiBootloader(serial, { pageSize: 10, signal: 'cts' });
+    serial.get = function (cb) {
+      cb(null, { dsr: false, cts: true });
+    };
+    return bootloader.readSignalLine().then((enabled) => {
+      expect(enabled).to.be.equal(true);
+    });
+  });
+
+  it('should invert the signal line', function () {
+    bootloader = new MultiBootloader(serial, { pageSize: 10, signalInvert: true });
+    signal = true;
+    return bootloader.readSignalLine().then((enabled) => {
+      expect(enabled).to.be.equal(false);
+    });
+  });
+
+  it('should program on timing alone without a signal line', function (done) {
+    bootloader = new MultiBootloader(serial, {
+      pageSize: 10,
+      timeBetweenPages: 1,
+      signal: 'none',
+      readyDelay: 10,
+    });
+
+    // The serial signal line should never be read
+    serial.get = function () {
+      done('Signal line was read');
+    };
+
+    bootloader.programBuffer(Buffer.alloc(25, 1), { format: 'bin' })
+    .then(() => done())
+    .catch(done);
+  });
+
   it('should send status when file has been read', function () {
     bootloader.program('goodFile.hex');
 
@@ -149,7 +247,65 @@ describe('Programming', function () {
 
   it('should throw file error', function (done) {
     bootloader.program('badFile.hex')
-    .catch(() => { done(); });
+    .catch((err) => {
+      try {
+        expect(err).to.be.an.instanceof(MultiBootloader.ImageReadError);
+        expect(err.cause).to.be.equal('ERROR');
+        done();
+      } catch (e) { done(e); }
+    });
+  });
+
+  it('should program from a buffer', function (done) {
+    autoSignal();
+    bootloader.programBuffer(Buffer.alloc(25, 1), { format: 'bin' })
+    .then(() => {
+      try {
+        expect(bootloader.numPages).to.be.equal(3);
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+  });
+
+  it('should reject a buffer that cannot be parsed', function (done) {
+    bootloader.programBuffer(Buffer.from([1, 2, 3]), { format: 'srec' })
+    .then(() => done('Did not reject'))
+    .catch((err) => {
+      try {
+        expect(err).to.be.an.instanceof(MultiBootloader.ImageParseError);
+        expect(err.code).to.be.equal('EIMAGEPARSE');
+        expect(err.cause).to.be.an.instanceof(Error);
+        done();
+      } catch (e) { done(e); }
+    });
+  });
+
+  it('should program from a stream', function (done) {
+    const stream = new PassThrough();
+
+    autoSignal();
+    bootloader.programStream(stream, { format: 'bin' })
+    .then(() => {
+      try {
+        expect(bootloader.numPages).to.be.equal(2);
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+
+    stream.write(Buffer.alloc(10, 1));
+    stream.end(Buffer.alloc(5, 2));
+  });
+
+  it('should reject when the stream errors', function (done) {
+    const stream = new PassThrough();
+
+    bootloader.programStream(stream)
+    .then(() => done('Did not reject'))
+    .catch(() => done());
+
+    stream.emit('error', new Error('broken'));
   });
 
   it('should start message when signal is enabled', function (done) {
@@ -240,6 +396,171 @@ describe('Programming', function () {
     });
   });
 
+  it('should send page numbers from the flash address', function (done) {
+    const hex = [
+      ':0400280001020304CA', // 4 bytes at address 40 (page 4)
+      ':0200640005068F', // 2 bytes at address 100 (page 10)
+      ':00000001FF',
+    ].join('\n');
+    const pageNumbers = [];
+    const pageData = [];
+
+    autoSignal();
+    bootloader.programBuffer(Buffer.from(hex), { format: 'hex' })
+    .then(() => {
+      try {
+        expect(pageNumbers).to.deep.equal([4, 10]);
+        expect(pageData).to.deep.equal([
+          [0x01, 0x02, 0x03, 0x04, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF],
+          [0x05, 0x06],
+        ]);
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+
+    wrapEndMessage(function () {
+      const data = serial.buffer.slice(7, -2);
+      if (this._msgCommand === MSG_PAGE_NUM) {
+        pageNumbers.push(data[0]);
+      }
+      else if (this._msgCommand === MSG_PAGE_DATA) {
+        pageData.push(data);
+      }
+      serial.buffer = [];
+    });
+  });
+
+  // One byte on page 0 and one on page 300
+  const largeHex = [
+    ':0100000001FE',
+    ':010BB800023A',
+    ':00000001FF',
+  ].join('\n');
+
+  it('should reject images with too many pages for protocol version 1', function (done) {
+    bootloader.programBuffer(Buffer.from(largeHex), { format: 'hex' })
+    .then(() => done('Did not reject'))
+    .catch((err) => {
+      try {
+        expect(err).to.match(/too large for protocol version 1/);
+        expect(err).to.be.an.instanceof(MultiBootloader.ImageSizeError);
+        done();
+      } catch (e) { done(e); }
+    });
+  });
+
+  it('should send the protocol version and 16-bit page numbers with protocol version 2', function (done) {
+    let startData;
+    const pageNumbers = [];
+
+    bootloader = new MultiBootloader(serial, {
+      pageSize: 10,
+      timeBetweenPages: 10,
+      protocolVersion: 2,
+      version: { major: 1, minor: 2 },
+    });
+
+    autoSignal();
+    bootloader.programBuffer(Buffer.from(largeHex), { format: 'hex' })
+    .then(() => {
+      try {
+        expect(startData).to.deep.equal([1, 2, 2]);
+        expect(pageNumbers).to.deep.equal([[0x00, 0x00], [0x01, 0x2C]]);
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+
+    wrapEndMessage(function () {
+      const data = serial.buffer.slice(7, -2);
+      if (this._msgCommand === MSG_START) {
+        startData = data;
+      }
+      else if (this._msgCommand === MSG_PAGE_NUM) {
+        pageNumbers.push(data);
+      }
+      serial.buffer = [];
+    });
+  });
+
+  it('should send page and image CRCs in CRC mode', function (done) {
+    const messages = [];
+
+    bootloader = new MultiBootloader(serial, {
+      pageSize: 10,
+      timeBetweenPages: 10,
+      crc: true,
+    });
+
+    autoSignal();
+    bootloader.programBuffer(Buffer.from([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]), { format: 'bin' })
+    .then(() => {
+      try {
+        expect(messages).to.deep.equal([
+          [MSG_START, [0, 0, 1, 0x01]],
+          [MSG_PAGE_NUM, [0]],
+          [MSG_PAGE_DATA, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 0xC3, 0xB3]],
+          [MSG_PAGE_NUM, [1]],
+          [MSG_PAGE_DATA, [11, 12, 13, 14, 15, 0x36, 0x57]],
+          [MSG_END, [0xF5, 0xA6, 0xAA, 0x3A]],
+          [MSG_END, [0xF5, 0xA6, 0xAA, 0x3A]],
+        ]);
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+
+    wrapEndMessage(function () {
+      messages.push([this._msgCommand, serial.buffer.slice(7, -2)]);
+      serial.buffer = [];
+    });
+  });
+
+  it('should address every message to the target nodes', function (done) {
+    const sent = [];
+
+    bootloader = new MultiBootloader(serial, {
+      pageSize: 10,
+      timeBetweenPages: 10,
+      targets: [3, 7],
+    });
+
+    const origStart = bootloader._disco.startMessage;
+    bootloader._disco.startMessage = function (cmd, len, options) {
+      sent.push([cmd, (options || {}).destination]);
+      return origStart.apply(this, arguments);
+    };
+
+    autoSignal();
+    bootloader.programBuffer(Buffer.alloc(5, 1), { format: 'bin' })
+    .then(() => {
+      try {
+        expect(sent).to.deep.equal([
+          [MSG_START, 3], [MSG_START, 7],
+          [MSG_PAGE_NUM, 3], [MSG_PAGE_NUM, 7],
+          [MSG_PAGE_DATA, 3], [MSG_PAGE_DATA, 7],
+          [MSG_END, 3], [MSG_END, 7],
+          [MSG_END, 3], [MSG_END, 7],
+        ]);
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+  });
+
+  it('should reject programs that do not fit in the MCU flash', function (done) {
+    bootloader = new MultiBootloader(serial, { mcu: 'atmega8' });
+    bootloader.programBuffer(Buffer.alloc(8193, 1), { format: 'bin' })
+    .then(() => done('Did not reject'))
+    .catch((err) => {
+      try {
+        expect(err).to.match(/too large for the atmega8/);
+        done();
+      } catch (e) { done(e); }
+    });
+  });
+
   it('should retry on error', function (done) {
     let tries = 1;
     let finished = false;
@@ -276,9 +597,15 @@ describe('Programming', function () {
     .then(() => {
       done('Did not time out.');
     })
-    .catch(() => {
+    .catch((err) => {
       try {
         expect(bootloader._programTries).to.be.equal(bootloader._opt.maxTries);
+        expect(err).to.be.an.instanceof(MultiBootloader.MaxRetriesError);
+        expect(err.code).to.be.equal('EMAXRETRIES');
+        expect(err.retries).to.be.equal(bootloader._opt.maxTries);
+        expect(err.page).to.be.equal(0);
+        expect(err.cause).to.be.an.instanceof(MultiBootloader.NodeVerifyError);
+        expect(lastError.error).to.be.an.instanceof(MultiBootloader.NodeVerifyError);
         done();
       } catch (e) { done(e); }
     });
@@ -291,5 +618,373 @@ describe('Programming', function () {
     });
   });
 
+  // Fail these pages the first time they're sent, and record the page numbers sent
+  function failPagesOnce(failPages) {
+    const sent = [];
+    const failed = {};
+
+    wrapEndMessage(function () {
+      if (this._msgCommand === MSG_PAGE_DATA) {
+        const page = bootloader.currentPage;
+        sent.push(page);
+        signal = (failPages.indexOf(page) > -1 && !failed[page]);
+        failed[page] = true;
+      }
+    });
+    return sent;
+  }
+
+  it('should only resend the pages that failed', function (done) {
+    autoSignal();
+    bootloader.program('goodFile.hex')
+    .then(() => {
+      try {
+        expect(sent).to.deep.equal([0, 1, 2, 3, 1, 3]);
+        expect(bootloader._programTries).to.be.equal(1);
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+    const sent = failPagesOnce([1, 3]);
+  });
+
+  it('should resend from the first error with the restart strategy', function (done) {
+    bootloader = new MultiBootloader(serial, {
+      pageSize: 10,
+      timeBetweenPages: 10,
+      retryStrategy: 'restart',
+    });
+    bootloader.on('error', errorSpy);
+
+    autoSignal();
+    bootloader.program('goodFile.hex')
+    .then(() => {
+      try {
+        expect(sent).to.deep.equal([0, 1, 2, 3, 1, 2, 3]);
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+    const sent = failPagesOnce([2]);
+  });
+
+  it('should stop when a page fails more than its retry cap', function (done) {
+    const sent = [];
+    bootloader = new MultiBootloader(serial, {
+      pageSize: 10,
+      timeBetweenPages: 10,
+      maxPageRetries: 2,
+    });
+    bootloader.on('error', errorSpy);
+
+    // Page 2 always fails
+    autoSignal();
+    bootloader.program('goodFile.hex')
+    .then(() => done('Did not fail'))
+    .catch((err) => {
+      try {
+        expect(err).to.be.an.instanceof(MultiBootloader.MaxRetriesError);
+        expect(err.page).to.be.equal(2);
+        expect(sent).to.deep.equal([0, 1, 2, 3, 2, 2]);
+        done();
+      } catch (e) { done(e); }
+    });
+
+    wrapEndMessage(function () {
+      if (this._msgCommand === MSG_PAGE_DATA) {
+        sent.push(bootloader.currentPage);
+        signal = (bootloader.currentPage === 2);
+      }
+    });
+  });
+
+  it('should report the programming speed when it finishes', function (done) {
+    const reportSpy = sinon.spy();
+    bootloader.on('report', reportSpy);
+
+    autoSignal();
+    bootloader.program('goodFile.hex')
+    .then(() => {
+      const report = bootloader.report;
+      try {
+        expect(reportSpy).to.have.been.calledWith(report);
+        expect(report.pages).to.be.equal(4);
+        expect(report.bytes).to.be.equal(35);
+        expect(report.bytesSent).to.be.equal(45);
+        expect(report.retries).to.be.equal(1);
+        expect(report.bytesPerSecond).to.be.above(0);
+        expect(report.timeBetweenPages).to.be.equal(10);
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+    failPagesOnce([1]);
+  });
+
+  it('should emit progress after each page, including resends', function (done) {
+    const progress = [];
+    bootloader.on('progress', (event) => {
+      progress.push(event);
+    });
+
+    autoSignal();
+    bootloader.program('goodFile.hex')
+    .then(() => {
+      try {
+        expect(progress.map(p => p.bytesSent)).to.deep.equal([10, 20, 30, 35, 45]);
+        expect(progress.map(p => p.totalBytes)).to.deep.equal([35, 35, 35, 35, 45]);
+        expect(progress.map(p => p.pagesSent)).to.deep.equal([1, 2, 3, 4, 5]);
+        expect(progress.map(p => p.pass)).to.deep.equal([1, 1, 1, 1, 2]);
+
+        const last = progress[progress.length - 1];
+        expect(last.totalPages).to.be.equal(4);
+        expect(last.percent).to.be.equal(1);
+        expect(last.eta).to.be.equal(0);
+        expect(last.bytesPerSecond).to.be.above(0);
+        expect(last.averageBytesPerSecond).to.be.above(0);
+        expect(progress[0].eta).to.be.above(0);
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+    failPagesOnce([1]);
+  });
+
+  it('should adapt the time between pages', function (done) {
+    const delays = [];
+    bootloader = new MultiBootloader(serial, {
+      pageSize: 10,
+      pacing: 'adaptive',
+      timeBetweenPages: 20,
+    });
+    bootloader.on('error', errorSpy);
+
+    autoSignal();
+    bootloader.program('goodFile.hex')
+    .then(() => {
+      try {
+        // Faster after each clean page, and slower after the error on page 2
+        expect(delays).to.deep.equal([20, 18, 16, 32, 28]);
+        expect(bootloader.report.timeBetweenPages).to.be.equal(25);
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+
+    failPagesOnce([2]);
+    wrapEndMessage(function () {
+      if (this._msgCommand === MSG_PAGE_DATA) {
+        delays.push(bootloader._pacing.delay);
+      }
+    });
+  });
+
+  it('should change state through the programming session', function (done) {
+    const states = [];
+    bootloader.on('state', (change) => {
+      states.push(change.state);
+    });
+
+    expect(bootloader.state).to.be.equal('idle');
+    autoSignal();
+    bootloader.programBuffer(Buffer.alloc(15, 1), { format: 'bin' })
+    .then(() => {
+      try {
+        expect(states).to.deep.equal([
+          'loading', 'waiting-ready', 'starting',
+          'sending', 'verifying',
+          'sending', 'verifying',
+          'finishing', 'done',
+        ]);
+        expect(bootloader.state).to.be.equal('done');
+        expect(bootloader.active).to.be.equal(false);
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+  });
+
+  it('should go to the retrying state after an error', function (done) {
+    const states = [];
+    bootloader.on('state', (change) => {
+      states.push(change.state);
+    });
+
+    autoSignal();
+    bootloader.program('goodFile.hex')
+    .then(() => done('Did not fail'))
+    .catch(() => {
+      try {
+        expect(states).to.include('retrying');
+        expect(states[states.length - 1]).to.be.equal('failed');
+        expect(bootloader.state).to.be.equal('failed');
+        done();
+      } catch (e) { done(e); }
+    });
+
+    wrapEndMessage(function () {
+      if (this._msgCommand === MSG_PAGE_DATA) {
+        signal = true;
+      }
+    });
+  });
+
+  it('should not program while a session is already running', function (done) {
+    autoSignal();
+    const first = bootloader.programBuffer(Buffer.alloc(15, 1), { format: 'bin' });
+
+    bootloader.programBuffer(Buffer.alloc(15, 1), { format: 'bin' })
+    .then(() => done('Did not reject'))
+    .catch((err) => {
+      try {
+        expect(err).to.be.an.instanceof(MultiBootloader.SessionActiveError);
+        expect(err).to.match(/while the bootloader is loading/);
+        first.then(() => done(), done);
+      } catch (e) { done(e); }
+    });
+  });
+
+  it('should reset the session when programming again', function (done) {
+    autoSignal();
+
+    // Fail the first time on max retries
+    let failPages = true;
+    wrapEndMessage(function () {
+      if (this._msgCommand === MSG_PAGE_DATA && failPages) {
+        signal = true;
+      }
+    });
+
+    bootloader.program('goodFile.hex')
+    .then(() => done('Did not fail'))
+    .catch(() => {
+      failPages = false;
+      signal = true;
+      return bootloader.programBuffer(Buffer.alloc(15, 1), { format: 'bin' });
+    })
+    .then(() => {
+      try {
+        expect(bootloader.numPages).to.be.equal(2);
+        expect(bootloader._programTries).to.be.equal(0);
+        expect(bootloader._errorAtPage).to.be.equal(-1);
+        expect(bootloader.state).to.be.equal('done');
+        done();
+      } catch (e) { done(e); }
+    })
+    .catch(done);
+  });
+
+  it('should abort programming and send the end message', function (done) {
+    const sent = [];
+
+    autoSignal();
+    bootloader.program('goodFile.hex')
+    .then(() => done('Did not abort'))
+    .catch((err) => {
+      try {
+        expect(err).to.be.an.instanceof(MultiBootloader.AbortError);
+        expect(err.reason).to.be.equal('Stop');
+        expect(err.code).to.be.equal('EABORTED');
+        expect(sent).to.deep.equal([MSG_START, MSG_PAGE_NUM, MSG_PAGE_DATA, MSG_END, MSG_END]);
+        expect(bootloader._timers).to.deep.equal([]);
+
+        // Nothing else is sent after aborting
+        setTimeout(() => {
+          try {
+            expect(sent.length).to.be.equal(5);
+            done();
+          } catch (e) { done(e); }
+        }, 50);
+      } catch (e) { done(e); }
+    });
+
+    wrapEndMessage(function () {
+      sent.push(this._msgCommand);
+      if (this._msgCommand === MSG_PAGE_DATA) {
+        bootloader.abort('Stop');
+      }
+    });
+  });
+
+  it('should send the rollback message when aborting', function (done) {
+    const sent = [];
+    bootloader = new MultiBootloader(serial, {
+      pageSize: 10,
+      timeBetweenPages: 10,
+      abortMessage: 'rollback',
+    });
+
+    autoSignal();
+    bootloader.program('goodFile.hex')
+    .then(() => done('Did not abort'))
+    .catch((err) => {
+      try {
+        expect(err).to.be.an.instanceof(MultiBootloader.AbortError);
+        expect(sent.slice(-2)).to.deep.equal([MSG_ROLLBACK, MSG_ROLLBACK]);
+        expect(sent).to.not.include(MSG_END);
+        done();
+      } catch (e) { done(e); }
+    });
+
+    wrapEndMessage(function () {
+      sent.push(this._msgCommand);
+      if (this._msgCommand === MSG_PAGE_DATA) {
+        bootloader.abort();
+      }
+    });
+  });
+
+  it('should abort while waiting for the nodes to be ready', function (done) {
+    signal = false;
+
+    bootloader.program('goodFile.hex')
+    .then(() => done('Did not abort'))
+    .catch((err) => {
+      try {
+        expect(err).to.be.an.instanceof(MultiBootloader.AbortError);
+        expect(bootloader._timers).to.deep.equal([]);
+        done();
+      } catch (e) { done(e); }
+    });
+
+    setTimeout(() => bootloader.abort(), 150);
+  });
+
+  it('should abort with an AbortSignal', function (done) {
+    const controller = new AbortController();
+
+    autoSignal();
+    bootloader.program('goodFile.hex', { abortSignal: controller.signal })
+    .then(() => done('Did not abort'))
+    .catch((err) => {
+      try {
+        expect(err).to.be.an.instanceof(MultiBootloader.AbortError);
+        expect(err.reason).to.be.equal('Cancelled');
+        done();
+      } catch (e) { done(e); }
+    });
+
+    wrapEndMessage(function () {
+      if (this._msgCommand === MSG_PAGE_DATA) {
+        controller.abort('Cancelled');
+      }
+    });
+  });
+
+  it('should not start with an AbortSignal that is already aborted', function (done) {
+    const controller = new AbortController();
+    controller.abort();
+
+    bootloader.programBuffer(Buffer.alloc(5, 1), { format: 'bin', abortSignal: controller.signal })
+    .then(() => done('Did not abort'))
+    .catch((err) => {
+      try {
+        expect(err).to.be.an.instanceof(MultiBootloader.AbortError);
+        expect(statusSpy).to.not.have.been.called;
+        done();
+      } catch (e) { done(e); }
+    });
+  });
+
 
 });
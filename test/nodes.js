@@ -0,0 +1,36 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const nodes = require('../dist/nodes');
+
+describe('Node lists', function () {
+
+  it('should parse addresses and ranges', function () {
+    expect(nodes.parseNodeList('3-6, 14,2')).to.deep.equal([2, 3, 4, 5, 6, 14]);
+  });
+
+  it('should parse arrays, numbers and range objects', function () {
+    expect(nodes.parseNodeList([9, '1-2', { from: 4, to: 5 }])).to.deep.equal([1, 2, 4, 5, 9]);
+    expect(nodes.parseNodeList(7)).to.deep.equal([7]);
+  });
+
+  it('should remove duplicates', function () {
+    expect(nodes.parseNodeList('1-3,2,3')).to.deep.equal([1, 2, 3]);
+  });
+
+  it('should reject invalid addresses', function () {
+    expect(() => nodes.parseNodeList('0')).to.throw(Error);
+    expect(() => nodes.parseNodeList('256')).to.throw(Error);
+    expect(() => nodes.parseNodeList('5-2')).to.throw(Error);
+    expect(() => nodes.parseNodeList('a-b')).to.throw(Error);
+    expect(() => nodes.parseNodeList('1;2')).to.throw(Error);
+  });
+
+  it('should format a list of addresses', function () {
+    expect(nodes.formatNodeList([3, 4, 5, 6, 14, 16, 17])).to.equal('3-6,14,16-17');
+    expect(nodes.formatNodeList([])).to.equal('');
+  });
+});
@@ -0,0 +1,68 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const pacing = require('../dist/pacing');
+
+describe('Page pacing', function () {
+
+  it('should estimate the time to send and write a page', function () {
+    // 136 bytes * 10 bits at 115200 baud = ~11.8ms, plus 10ms to write flash
+    expect(pacing.estimatePageTime(115200, 128)).to.equal(22);
+    expect(pacing.estimatePageTime(9600, 128)).to.equal(152);
+  });
+
+  it('should always use the same delay with fixed pacing', function () {
+    const fixed = pacing.createPacing({ pacing: 'fixed', timeBetweenPages: 20 });
+    fixed.pageVerified();
+    fixed.pageFailed();
+    expect(fixed.delay).to.equal(20);
+  });
+
+  it('should start adaptive pacing from the estimate', function () {
+    const adaptive = pacing.createPacing({
+      pacing: 'adaptive',
+      baudRate: 115200,
+      pageSize: 128,
+      timeBetweenPages: 20,
+      minTimeBetweenPages: 1,
+      maxTimeBetweenPages: 500,
+    });
+    expect(adaptive.delay).to.equal(44);
+  });
+
+  it('should start adaptive pacing from timeBetweenPages without a baud rate', function () {
+    const adaptive = pacing.createPacing({
+      pacing: 'adaptive',
+      pageSize: 128,
+      timeBetweenPages: 20,
+      minTimeBetweenPages: 1,
+      maxTimeBetweenPages: 500,
+    });
+    expect(adaptive.delay).to.equal(20);
+  });
+
+  it('should speed up on clean pages and back off on errors', function () {
+    const adaptive = new pacing.AdaptivePacing(20, 5, 50);
+
+    adaptive.pageVerified();
+    expect(adaptive.delay).to.equal(18);
+    for (let i = 0; i < 50; i++) {
+      adaptive.pageVerified();
+    }
+    expect(adaptive.delay).to.equal(5);
+
+    adaptive.pageFailed();
+    expect(adaptive.delay).to.equal(10);
+    for (let i = 0; i < 5; i++) {
+      adaptive.pageFailed();
+    }
+    expect(adaptive.delay).to.equal(50);
+  });
+
+  it('should reject unknown pacing modes', function () {
+    expect(() => pacing.createPacing({ pacing: 'slow' })).to.throw(/Unknown pacing/);
+  });
+});
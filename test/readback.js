@@ -0,0 +1,182 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const MultiBootloader = require('../dist/lib');
+const readback = require('../dist/readback');
+const crc32 = require('../dist/crc').crc32;
+const SimulatedSerialPort = require('../dist/simulator').SimulatedSerialPort;
+
+const DATA = Buffer.alloc(300, 0x5A);
+
+// Program DATA (or `data`) to the simulated bus, with read-back verification
+function program(port, options, data) {
+  const bootloader = new MultiBootloader(port, Object.assign({
+    mcu: 'atmega328p',
+    timeBetweenPages: 1,
+    verify: true,
+    verifyTimeout: 50,
+    targets: port.addresses,
+  }, options));
+  const events = [];
+  bootloader.on('error', () => {});
+  bootloader.on('verify', event => events.push(event));
+
+  return bootloader.programBuffer(data || DATA, { format: 'bin' })
+  .then(() => ({ bootloader, events, error: null }), error => ({ bootloader, events, error }));
+}
+
+describe('Read-back verification', function () {
+  this.timeout(5000);
+
+  it('should checksum each range of flash the image is written to', function () {
+    const pages = [
+      { address: 0, data: Buffer.from([1, 2]) },
+      { address: 2, data: Buffer.from([3, 4]) },
+      { address: 256, data: Buffer.from([5]) },
+    ];
+
+    expect(readback.imageRanges(pages)).to.deep.equal([
+      { address: 0, length: 4, crc: crc32(Buffer.from([1, 2, 3, 4])) },
+      { address: 256, length: 1, crc: crc32(Buffer.from([5])) },
+    ]);
+  });
+
+  it('should combine the range checksums', function () {
+    expect(readback.combineChecksums([0x12345678])).to.equal(0x12345678);
+    expect(readback.combineChecksums([0x12345678, 0x9ABCDEF0])).to.equal(
+      crc32([0x12, 0x34, 0x56, 0x78, 0x9A, 0xBC, 0xDE, 0xF0])
+    );
+  });
+
+  it('should not check the flash between skipped blank pages', function () {
+    const port = new SimulatedSerialPort({ nodes: 2 });
+    const data = Buffer.alloc(384, 0xFF);
+    data.fill(0x5A, 0, 128);
+    data.fill(0xA5, 256, 384);
+
+    // The blank page isn't erased on the nodes
+    port.nodes.forEach(node => node.flash.fill(0x00, 128, 256));
+
+    return program(port, { skipBlankPages: true }, data)
+    .then((result) => {
+      expect(result.error).to.equal(null);
+      expect(result.events[0].passed).to.deep.equal([1, 2]);
+      expect(port.nodes.map(node => node.pagesWritten)).to.deep.equal([2, 2]);
+    });
+  });
+
+  it('should fail when there are no nodes to verify', function () {
+    const port = new SimulatedSerialPort({ nodes: [{ address: 1, faults: { dropRate: 1 } }] });
+
+    return program(port, { targets: null, signal: 'none' })
+    .then((result) => {
+      expect(result.error).to.be.an.instanceof(MultiBootloader.NodeVerifyError);
+      expect(result.error.message).to.match(/No nodes were found to verify/);
+      expect(result.events).to.deep.equal([]);
+    });
+  });
+
+  it('should verify every node', function () {
+    const port = new SimulatedSerialPort({ nodes: 3 });
+
+    return program(port)
+    .then((result) => {
+      expect(result.error).to.equal(null);
+      expect(result.events).to.have.length(1);
+      expect(result.events[0]).to.include({ attempt: 1 });
+      expect(result.events[0].passed).to.deep.equal([1, 2, 3]);
+      expect(result.events[0].failed).to.deep.equal([]);
+
+      const verification = result.bootloader.report.verification;
+      expect(verification.map(node => node.address)).to.deep.equal([1, 2, 3]);
+      expect(verification.every(node => node.ok && node.checksum === node.expected)).to.equal(true);
+      port.nodes.forEach(node => expect(node.state).to.equal('done'));
+    });
+  });
+
+  it('should reprogram only the nodes that fail', function () {
+    const port = new SimulatedSerialPort({
+      nodes: [{ address: 1 }, { address: 2, faults: { corruptPages: [1] } }, { address: 3 }],
+    });
+
+    return program(port)
+    .then((result) => {
+      expect(result.error).to.equal(null);
+      expect(result.events.map(event => event.failed)).to.deep.equal([[2], []]);
+      expect(result.events[1].passed).to.deep.equal([2]);
+      expect(port.nodes.map(node => node.pagesWritten)).to.deep.equal([3, 6, 3]);
+      expect(result.bootloader.verification.every(node => node.ok)).to.equal(true);
+      port.nodes.forEach((node) => {
+        expect(node.state).to.equal('done');
+        expect(node.read(0, 300).equals(DATA)).to.equal(true);
+      });
+    });
+  });
+
+  it('should give the reprogramming its own page retries', function () {
+    // Node 2 corrupts the second page it receives in each pass (checked with the page CRC)
+    const corrupted = [1, 0, 1, 1, 1, 0, 1, 1];
+    const port = new SimulatedSerialPort({
+      nodes: [{ address: 1 }, { address: 2, faults: { corruptRate: 0.5 } }],
+      random: () => ((corrupted.length) ? corrupted.shift() : 1),
+    });
+    const bootloader = new MultiBootloader(port, {
+      mcu: 'atmega328p',
+      timeBetweenPages: 1,
+      crc: true,
+      verify: true,
+      verifyTimeout: 50,
+      maxPageRetries: 1,
+      targets: port.addresses,
+    });
+    bootloader.on('error', () => {});
+
+    // Change node 2's flash before it's first checked, so it gets reprogrammed
+    let tampered = false;
+    bootloader.on('status', (status) => {
+      if (!tampered && /^Verifying/.test(status.message)) {
+        tampered = true;
+        port.node(2).flash[0] ^= 0xFF;
+      }
+    });
+
+    return bootloader.programBuffer(DATA, { format: 'bin' })
+    .then(() => {
+      expect(bootloader.verification.map(node => node.ok)).to.deep.equal([true, true]);
+      expect(port.nodes.map(node => node.pagesWritten)).to.deep.equal([4, 6]);
+      expect(port.node(2).read(0, 300).equals(DATA)).to.equal(true);
+    });
+  });
+
+  it('should fail when a node still does not match', function () {
+    const port = new SimulatedSerialPort({
+      nodes: [{ address: 1 }, { address: 2, faults: { corruptRate: 1 } }],
+      random: () => 0,
+    });
+
+    return program(port, { verifyRetries: 2 })
+    .then((result) => {
+      expect(result.error).to.be.an.instanceof(MultiBootloader.NodeVerifyError);
+      expect(result.error.code).to.equal('ENODEVERIFY');
+      expect(result.error.message).to.match(/Nodes 2 did not match the program \(reprogrammed 2 times\)/);
+      expect(result.events.map(event => event.failed)).to.deep.equal([[2], [2], [2]]);
+      expect(result.bootloader.verification.map(node => node.ok)).to.deep.equal([true, false]);
+
+      // The end message is still sent to every node
+      expect(port.node(1).state).to.equal('done');
+    });
+  });
+
+  it('should fail nodes that do not respond', function () {
+    const port = new SimulatedSerialPort({ nodes: 2 });
+
+    return program(port, { targets: [1, 2, 3], verifyRetries: 0 })
+    .then((result) => {
+      expect(result.error.code).to.equal('ENODEVERIFY');
+      expect(result.bootloader.verification[2]).to.include({ address: 3, ok: false, checksum: null });
+    });
+  });
+});
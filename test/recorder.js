@@ -0,0 +1,164 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const MultiBootloader = require('../dist/lib');
+const recorder = require('../dist/recorder');
+const SimulatedSerialPort = require('../dist/simulator').SimulatedSerialPort;
+
+// Record programming a simulated bus, where node 2 corrupts page 1 the first time
+function recordSession(options) {
+  const lines = [];
+  const capture = new recorder.Recorder({ write: line => lines.push(line) });
+  const bus = new SimulatedSerialPort({
+    nodes: [{ address: 1 }, { address: 2, faults: { corruptPages: [1] } }],
+  });
+  const bootloader = new MultiBootloader(capture.wrap(bus), Object.assign({
+    mcu: 'atmega328p',
+    timeBetweenPages: 1,
+    crc: true,
+    recorder: capture,
+  }, options));
+  bootloader.on('error', () => {});
+
+  const data = Buffer.alloc(300, 0x55);
+  return bootloader.programBuffer(data, { format: 'bin' })
+  .catch(() => {})
+  .then(() => ({ capture, content: lines.join('') }));
+}
+
+describe('Recorder', function () {
+  this.timeout(5000);
+
+  it('should record the bus, signal line and decisions', function () {
+    return recordSession()
+    .then((result) => {
+      const entries = result.capture.entries;
+      const types = entries.map(entry => entry.type);
+
+      expect(types[0]).to.equal('session');
+      expect(entries[0].options).to.include({ pageSize: 128, crc: true, timeBetweenPages: 1 });
+      expect(types).to.include.members(['image', 'tx', 'signal', 'state', 'decision']);
+      expect(entries[entries.length - 1]).to.include({ type: 'result', ok: true });
+
+      const decisions = entries.filter(entry => entry.type === 'decision').map(entry => entry.decision);
+      expect(decisions).to.deep.equal(['page-verified', 'page-failed', 'page-verified', 'resend', 'page-verified']);
+      expect(entries.find(entry => entry.decision === 'resend').pages).to.deep.equal([1]);
+    });
+  });
+
+  it('should write each entry as a line of JSON', function () {
+    return recordSession()
+    .then((result) => {
+      const parsed = recorder.parseCapture(result.content);
+      expect(parsed).to.deep.equal(result.capture.entries);
+    });
+  });
+
+  it('should reject invalid capture lines', function () {
+    expect(() => recorder.parseCapture('{"t":0}\nnope\n')).to.throw(/Line 2/);
+  });
+
+  it('should decode the capture into protocol messages', function () {
+    return recordSession()
+    .then((result) => {
+      const lines = recorder.decodeCapture(result.capture.entries);
+      const text = lines.join('\n');
+
+      expect(lines[0]).to.match(/^\s+0\.\d{3}s {2}SESSION {2}/);
+      expect(text).to.match(/TX +MSG_START to all: version 0\.0, protocol 1, flags 0x1/);
+      expect(text).to.match(/TX +MSG_PAGE_NUM to all: page 2/);
+      expect(text).to.match(/TX +MSG_PAGE_DATA to all: 130 bytes/);
+      expect(text).to.match(/TX +MSG_END to all: crc 0x[0-9a-f]{8}/);
+      expect(text).to.match(/SIGNAL +enabled/);
+      expect(text).to.match(/DECISION page-failed page=1 delay=1/);
+      expect(text).to.match(/RESULT +ok/);
+    });
+  });
+
+  it('should decode EEPROM messages', function () {
+    const capture = new recorder.Recorder();
+    const bus = new SimulatedSerialPort({ nodes: 1 });
+    const bootloader = new MultiBootloader(capture.wrap(bus), {
+      mcu: 'atmega328p',
+      timeBetweenPages: 1,
+      verify: true,
+      targets: [1],
+      recorder: capture,
+    });
+
+    return bootloader.programBuffer({ flash: Buffer.alloc(100, 0x55), eeprom: Buffer.alloc(40, 0x01) }, { format: 'bin' })
+    .then(() => {
+      const text = recorder.decodeCapture(capture.entries).join('\n');
+
+      expect(text).to.match(/IMAGE +bin, 100 bytes, 40 bytes of EEPROM/);
+      expect(text).to.match(/TX +MSG_EEPROM_ADDRESS to 1: EEPROM address 32/);
+      expect(text).to.match(/TX +MSG_CHECKSUM to 1: 40 bytes from address 0 of EEPROM/);
+      return MultiBootloader.replay(capture.entries);
+    })
+    .then((replay) => {
+      expect(replay.matches).to.equal(true);
+    });
+  });
+
+  it('should decode received data', function () {
+    const lines = recorder.decodeCapture([{ t: 1500, type: 'rx', data: '0100' }]);
+    expect(lines).to.deep.equal(['   1.500s  RX       01 00']);
+  });
+
+  describe('Replay', function () {
+
+    it('should reproduce the recorded decisions', function () {
+      return recordSession()
+      .then(result => MultiBootloader.replay(result.content))
+      .then((replay) => {
+        expect(replay.error).to.equal(null);
+        expect(replay.mismatch).to.equal(-1);
+        expect(replay.divergence).to.equal(null);
+        expect(replay.matches).to.equal(true);
+        expect(replay.decisions).to.deep.equal(replay.expected);
+      });
+    });
+
+    it('should reproduce a failed session', function () {
+      return recordSession({ maxTries: 1 })
+      .then((result) => {
+        const last = result.capture.entries[result.capture.entries.length - 1];
+        expect(last).to.include({ type: 'result', ok: false, code: 'EMAXRETRIES' });
+        return MultiBootloader.replay(result.capture.entries);
+      })
+      .then((replay) => {
+        expect(replay.matches).to.equal(true);
+        expect(replay.error.code).to.equal('EMAXRETRIES');
+      });
+    });
+
+    it('should report where a replay differs from the capture', function () {
+      return recordSession()
+      .then((result) => {
+        const entries = result.capture.entries;
+
+        // Page 1 verifies this time
+        const failed = entries.filter(entry => entry.type === 'signal' && entry.value === true);
+        failed[failed.length - 1].value = false;
+        return MultiBootloader.replay(entries);
+      })
+      .then((replay) => {
+        expect(replay.matches).to.equal(false);
+        expect(replay.expected[replay.mismatch]).to.include({ decision: 'page-failed', page: 1 });
+        expect(replay.decisions[replay.mismatch]).to.include({ decision: 'page-verified', page: 1 });
+      });
+    });
+
+    it('should reject a capture without a session', function () {
+      return MultiBootloader.replay('{"t":0,"type":"tx","data":"ff"}\n')
+      .then(() => {
+        throw new Error('Replay should fail');
+      }, (err) => {
+        expect(err.message).to.match(/does not have programming session 0/);
+      });
+    });
+  });
+});
@@ -0,0 +1,43 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const retry = require('../dist/retry');
+
+describe('Retry strategies', function () {
+
+  it('should only resend the failed pages', function () {
+    const strategy = retry.createRetryStrategy('selective', { maxTries: 3 });
+    expect(strategy.nextPass([7, 2], 10)).to.deep.equal([2, 7]);
+    expect(strategy.nextPass([7], 10)).to.deep.equal([7]);
+  });
+
+  it('should give up when a page reaches its retry cap', function () {
+    const strategy = retry.createRetryStrategy('selective', { maxTries: 3, maxPageRetries: 1 });
+    expect(strategy.nextPass([2, 4], 10)).to.deep.equal([2, 4]);
+    expect(strategy.nextPass([4], 10)).to.equal(null);
+  });
+
+  it('should default the retry cap from maxTries', function () {
+    expect(retry.createRetryStrategy('selective', { maxTries: 4 }).maxPageRetries).to.equal(3);
+  });
+
+  it('should resend from the page before the first error, then restart', function () {
+    const strategy = retry.createRetryStrategy('restart', { maxTries: 3 });
+    expect(strategy.nextPass([3, 5], 6)).to.deep.equal([2, 3, 4, 5]);
+    expect(strategy.nextPass([4], 6)).to.deep.equal([0, 1, 2, 3, 4, 5]);
+    expect(strategy.nextPass([4], 6)).to.equal(null);
+  });
+
+  it('should accept custom strategies', function () {
+    const custom = { nextPass: () => null };
+    expect(retry.createRetryStrategy(custom, {})).to.equal(custom);
+    expect(() => retry.createRetryStrategy({}, {})).to.throw(/nextPass/);
+  });
+
+  it('should reject unknown strategies', function () {
+    expect(() => retry.createRetryStrategy('again', { maxTries: 3 })).to.throw(/Unknown retry strategy/);
+  });
+});
@@ -0,0 +1,128 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const signal = require('../dist/signal');
+
+function fakeSerial(status) {
+  return {
+    get: (cb) => cb(null, status),
+  };
+}
+
+describe('Signal line', function () {
+
+  it('should read the serial status lines', function () {
+    const serial = fakeSerial({ dsr: false, cts: true, dcd: false });
+    return Promise.all([
+      new signal.SerialSignal(serial, 'dsr').read(),
+      new signal.SerialSignal(serial, 'cts').read(),
+    ])
+    .then((values) => {
+      expect(values).to.deep.equal([false, true]);
+    });
+  });
+
+  it('should reject when the serial port does not report the line', function () {
+    const serial = fakeSerial({ dsr: false, cts: true, dcd: false });
+    return new signal.SerialSignal(serial, 'ri').read()
+    .then(() => { throw new Error('Did not reject'); })
+    .catch((err) => {
+      expect(`${err}`).to.match(/does not report the RI line/);
+    });
+  });
+
+  it('should read a sysfs GPIO', function () {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'gpio-'));
+    fs.mkdirSync(path.join(root, 'gpio17'));
+    fs.writeFileSync(path.join(root, 'gpio17', 'value'), '0\n');
+
+    const gpio = new signal.SysfsGpioSignal(17, root);
+    return gpio.read()
+    .then((enabled) => {
+      expect(enabled).to.equal(true);
+      expect(fs.readFileSync(path.join(root, 'gpio17', 'direction'), 'utf8')).to.equal('in');
+
+      fs.writeFileSync(path.join(root, 'gpio17', 'value'), '1\n');
+      return gpio.read();
+    })
+    .then((enabled) => {
+      expect(enabled).to.equal(false);
+    });
+  });
+
+  it('should parse the libgpiod tool output', function () {
+    expect(signal.parseGpioValue('0\n')).to.equal(0);
+    expect(signal.parseGpioValue('1\n')).to.equal(1);
+    expect(signal.parseGpioValue('"17"=active\n')).to.equal(1);
+    expect(signal.parseGpioValue('"17"=inactive\n')).to.equal(0);
+    expect(() => signal.parseGpioValue('gpioget: unable to request lines')).to.throw(/Unexpected gpioget output/);
+
+    expect(signal.parseGpiodVersion('gpioget (libgpiod) v1.6.3\nCopyright (C) 2017-2018 Bartosz Golaszewski')).to.equal(1);
+    expect(signal.parseGpiodVersion('gpioget (libgpiod) v2.1\n')).to.equal(2);
+  });
+
+  it('should read a GPIO character device line with gpioget each time', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gpiod-'));
+    const args = path.join(dir, 'args');
+    const value = path.join(dir, 'value');
+    const gpioget = path.join(dir, 'gpioget');
+
+    // libgpiod v2 tools: the line is LOW, and then goes HIGH
+    fs.writeFileSync(value, 'inactive');
+    fs.writeFileSync(gpioget, [
+      '#!/bin/sh',
+      'if [ "$1" = "--version" ]; then echo "gpioget (libgpiod) v2.1"; exit 0; fi',
+      `echo "$@" > ${args}`,
+      `echo "\\"17\\"=$(cat ${value})"`,
+    ].join('\n'), { mode: 0o755 });
+
+    const gpio = new signal.GpioChipSignal('gpiochip0', 17, gpioget);
+    return gpio.read()
+    .then((enabled) => {
+      expect(enabled).to.equal(true);
+      expect(fs.readFileSync(args, 'utf8').trim()).to.equal('--chip gpiochip0 17');
+      fs.writeFileSync(value, 'active');
+      return gpio.read();
+    })
+    .then((enabled) => {
+      expect(enabled).to.equal(false);
+    });
+  });
+
+  it('should never be enabled without a signal line', function () {
+    const none = new signal.NoSignal();
+    expect(none.timingOnly).to.equal(true);
+    return none.read().then((enabled) => {
+      expect(enabled).to.equal(false);
+    });
+  });
+
+  it('should create providers by name', function () {
+    const serial = fakeSerial({});
+    expect(signal.createSignal(serial)).to.be.instanceof(signal.SerialSignal);
+    expect(signal.createSignal(serial, 'CTS').line).to.equal('cts');
+    expect(signal.createSignal(serial, 'none')).to.be.instanceof(signal.NoSignal);
+    expect(signal.createSignal(serial, 'gpio:4').pin).to.equal(4);
+
+    const chip = signal.createSignal(serial, '/dev/gpiochip1:22');
+    expect(chip).to.be.instanceof(signal.GpioChipSignal);
+    expect(chip.chip).to.equal('/dev/gpiochip1');
+    expect(chip.line).to.equal(22);
+  });
+
+  it('should accept custom providers', function () {
+    const provider = { read: () => Promise.resolve(true) };
+    expect(signal.createSignal(null, provider)).to.equal(provider);
+    expect(() => signal.createSignal(null, {})).to.throw(/read\(\)/);
+  });
+
+  it('should reject unknown signal lines', function () {
+    expect(() => signal.createSignal(null, 'rts')).to.throw(/Unknown signal line/);
+  });
+});
@@ -0,0 +1,477 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const MultiBootloader = require('../dist/lib');
+const simulator = require('../dist/simulator');
+
+const SimulatedSerialPort = simulator.SimulatedSerialPort;
+
+const MSG_START = 0xF1;
+const MSG_PAGE_NUM = 0xF2;
+const MSG_PAGE_DATA = 0xF3;
+const MSG_END = 0xF4;
+const MSG_ROLLBACK = 0xF6;
+
+// A DiscoBus frame, with an empty CRC
+function frame(command, data, destination) {
+  const bytes = data || [];
+  return [0xFF, 0xFF, command, 0, destination || 0, bytes.length % 256, Math.floor(bytes.length / 256)]
+    .concat(bytes)
+    .concat([0, 0]);
+}
+
+// Read the DSR line
+function readSignal(port) {
+  return new Promise((resolve) => {
+    port.get((err, status) => resolve(status.dsr));
+  });
+}
+
+// Program a buffer to the simulated bus
+function program(port, data, options) {
+  const bootloader = new MultiBootloader(port, Object.assign({
+    mcu: 'atmega328p',
+    timeBetweenPages: 1,
+    signalTimeout: 500,
+  }, options));
+  bootloader.on('error', () => {});
+  return bootloader.programBuffer(data, { format: 'bin' }).then(() => bootloader);
+}
+
+// An Intel Hex file, with one data record per 16 bytes
+function intelHex(data) {
+  const records = [];
+  for (let addr = 0; addr < data.length; addr += 16) {
+    const chunk = data.slice(addr, addr + 16);
+    const bytes = [chunk.length, Math.floor(addr / 256), addr % 256, 0].concat(Array.from(chunk));
+    const sum = bytes.reduce((total, b) => total + b, 0);
+    records.push(`:${Buffer.from(bytes.concat([(256 - (sum % 256)) % 256])).toString('hex').toUpperCase()}`);
+  }
+  records.push(':00000001FF');
+  return `${records.join('\n')}\n`;
+}
+
+function testProgram(size) {
+  const data = Buffer.alloc(size);
+  for (let i = 0; i < size; i++) {
+    data[i] = i % 251;
+  }
+  return data;
+}
+
+describe('Simulator', function () {
+
+  describe('decodeFrames', function () {
+
+    it('should decode frames from a stream of bytes', function () {
+      const buffer = [0x00].concat(frame(MSG_PAGE_NUM, [2], 5), frame(MSG_END));
+      const frames = simulator.decodeFrames(buffer);
+
+      expect(frames).to.deep.equal([
+        { command: MSG_PAGE_NUM, flags: 0, destination: 5, data: [2] },
+        { command: MSG_END, flags: 0, destination: 0, data: [] },
+      ]);
+      expect(buffer).to.deep.equal([]);
+    });
+
+    it('should leave an incomplete frame in the buffer', function () {
+      const buffer = frame(MSG_PAGE_DATA, [1, 2, 3]).slice(0, 9);
+      expect(simulator.decodeFrames(buffer)).to.deep.equal([]);
+      expect(buffer.length).to.equal(9);
+    });
+  });
+
+  describe('SimulatedSerialPort', function () {
+
+    it('should create nodes from a count', function () {
+      const port = new SimulatedSerialPort({ nodes: 3 });
+      expect(port.addresses).to.deep.equal([1, 2, 3]);
+      expect(port.node(2).pageSize).to.equal(128);
+      expect(port.node(2).flash.length).to.equal(32768);
+    });
+
+    it('should throw an exception with an unknown MCU type', function () {
+      expect(() => new SimulatedSerialPort({ mcu: 'atmega9999' })).to.throw(/Unknown MCU/);
+    });
+
+    it('should enable DSR while nodes wait in the bootloader', function () {
+      const port = new SimulatedSerialPort({ nodes: 2 });
+      return readSignal(port).then((dsr) => {
+        expect(dsr).to.equal(true);
+      });
+    });
+
+    it('should start nodes in their application when there is a bootloader command', function () {
+      const port = new SimulatedSerialPort({ nodes: 2, command: 0xA0 });
+      expect(port.node(1).state).to.equal('app');
+
+      port.write(Buffer.from(frame(0xA0, [], 2)));
+      expect(port.node(1).state).to.equal('app');
+      expect(port.node(2).state).to.equal('bootloader');
+    });
+
+    it('should deliver broadcast messages to every node', function () {
+      const port = new SimulatedSerialPort({ nodes: 3, command: 0xA0 });
+
+      port.write(Buffer.from(frame(0xA0, [])));
+      expect(port.nodes.map(node => node.state)).to.deep.equal(['bootloader', 'bootloader', 'bootloader']);
+    });
+
+    it('should answer DiscoBus node addressing in bus order', function (done) {
+      const port = new SimulatedSerialPort({ nodes: [{ address: 5 }, { address: 9 }, { address: 2 }] });
+
+      port.once('data', (data) => {
+        expect(Array.from(data)).to.deep.equal([1, 2, 3]);
+        expect(port.addresses).to.deep.equal([1, 2, 3]);
+        done();
+      });
+      port.write(Buffer.from(frame(0xFB, [0])));
+    });
+
+    it('should respond to MSG_INFO', function () {
+      const port = new SimulatedSerialPort({ nodes: 3, appVersion: { major: 1, minor: 2 } });
+      return MultiBootloader.discover(port, { nodes: [2] })
+      .then((nodes) => {
+        expect(nodes).to.deep.equal([{
+          address: 2,
+          bootloaderVersion: { major: 1, minor: 0 },
+          appVersion: { major: 1, minor: 2 },
+          signature: [0x1E, 0x95, 0x0F],
+          pageSize: 128,
+        }]);
+      });
+    });
+
+    it('should restore flash on MSG_ROLLBACK', function () {
+      const port = new SimulatedSerialPort({ nodes: 1 });
+      const node = port.node(1);
+
+      port.write(Buffer.from(frame(MSG_START, [1, 0])));
+      port.write(Buffer.from(frame(MSG_PAGE_NUM, [0])));
+      port.write(Buffer.from(frame(MSG_PAGE_DATA, [1, 2, 3])));
+      expect(Array.from(node.read(0, 3))).to.deep.equal([1, 2, 3]);
+
+      port.write(Buffer.from(frame(MSG_ROLLBACK)));
+      expect(node.state).to.equal('bootloader');
+      expect(Array.from(node.read(0, 3))).to.deep.equal([0xFF, 0xFF, 0xFF]);
+    });
+  });
+
+  describe('Programming', function () {
+    this.timeout(5000);
+
+    it('should program every node', function () {
+      const port = new SimulatedSerialPort({ nodes: 3 });
+      const data = testProgram(300);
+
+      return program(port, data, { version: { major: 2, minor: 1 } })
+      .then(() => {
+        port.nodes.forEach((node) => {
+          expect(node.state).to.equal('done');
+          expect(node.appVersion).to.deep.equal({ major: 2, minor: 1 });
+          expect(node.pagesWritten).to.equal(3);
+          expect(node.read(0, 300).equals(data)).to.equal(true);
+        });
+      });
+    });
+
+    it('should only program the target nodes', function () {
+      const port = new SimulatedSerialPort({ nodes: 3, command: 0xA0 });
+      port.write(Buffer.from(frame(0xA0, [], 2)));
+
+      return program(port, testProgram(10), { targets: [2] })
+      .then(() => {
+        expect(port.node(1).state).to.equal('app');
+        expect(port.node(2).state).to.equal('done');
+        expect(port.node(3).pagesWritten).to.equal(0);
+      });
+    });
+
+    it('should only program nodes with an older version', function () {
+      const port = new SimulatedSerialPort({
+        nodes: [
+          { address: 1, appVersion: { major: 1, minor: 2 } },
+          { address: 2, appVersion: { major: 1, minor: 1 } },
+          { address: 3, appVersion: { major: 0, minor: 9 } },
+          { address: 4, appVersion: { major: 2, minor: 0 } },
+        ],
+      });
+
+      return program(port, testProgram(10), {
+        targets: [1, 2, 3, 4],
+        onlyIfNewer: true,
+        version: { major: 1, minor: 2 },
+      })
+      .then((bootloader) => {
+        expect(bootloader.skippedNodes).to.deep.equal([1, 4]);
+
+        // The skipped nodes leave the bootloader, so they don't hold the signal line
+        expect(port.nodes.map(node => node.state)).to.deep.equal(['app', 'done', 'done', 'app']);
+        expect(port.nodes.map(node => node.pagesWritten)).to.deep.equal([0, 1, 1, 0]);
+      });
+    });
+
+    it('should release the nodes when they are all up to date', function () {
+      const port = new SimulatedSerialPort({ nodes: 2, appVersion: { major: 1, minor: 3 } });
+      const statuses = [];
+
+      const bootloader = new MultiBootloader(port, {
+        mcu: 'atmega328p',
+        targets: [1, 2],
+        onlyIfNewer: true,
+        version: { major: 1, minor: 2 },
+      });
+      bootloader.on('status', status => statuses.push(status.message));
+
+      return bootloader.programBuffer(testProgram(10), { format: 'bin' })
+      .then(() => readSignal(port))
+      .then((signal) => {
+        expect(bootloader.skippedNodes).to.deep.equal([1, 2]);
+        expect(statuses.pop()).to.match(/Nothing to program/);
+        expect(port.nodes.map(node => node.state)).to.deep.equal(['app', 'app']);
+        expect(signal).to.equal(false);
+      });
+    });
+
+    it('should reject a blank program when blank pages are skipped', function () {
+      const port = new SimulatedSerialPort({ nodes: 2 });
+
+      return program(port, Buffer.alloc(300, 0xFF), { skipBlankPages: true })
+      .then(() => {
+        throw new Error('Programming should fail');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(MultiBootloader.ImageParseError);
+        expect(err.message).to.match(/nothing to program/);
+
+        // The nodes were never started
+        port.nodes.forEach(node => expect(node.state).to.equal('bootloader'));
+      });
+    });
+
+    it('should verify the image CRC', function () {
+      const port = new SimulatedSerialPort({ nodes: 2 });
+      const data = testProgram(500);
+
+      return program(port, data, { crc: true })
+      .then(() => {
+        port.nodes.forEach((node) => {
+          expect(node.state).to.equal('done');
+          expect(node.read(0, 500).equals(data)).to.equal(true);
+        });
+      });
+    });
+
+    it('should resend a corrupted page', function () {
+      const port = new SimulatedSerialPort({
+        nodes: [{ address: 1 }, { address: 2, faults: { corruptPages: [1] } }],
+      });
+      const data = testProgram(400);
+
+      return program(port, data, { crc: true })
+      .then((bootloader) => {
+        expect(bootloader.report.retries).to.equal(1);
+        expect(port.node(2).errors).to.equal(1);
+        expect(port.node(2).state).to.equal('done');
+        expect(port.node(2).read(0, 400).equals(data)).to.equal(true);
+      });
+    });
+
+    it('should write corrupted pages when there are no CRCs', function () {
+      const port = new SimulatedSerialPort({ nodes: 1, faults: { corruptPages: [0] } });
+
+      return program(port, testProgram(10))
+      .then(() => {
+        expect(port.node(1).state).to.equal('done');
+        expect(port.node(1).flash[0]).to.equal(0xFF);
+      });
+    });
+
+    it('should flag pages when bytes are dropped', function () {
+      let calls = 0;
+      const port = new SimulatedSerialPort({
+        nodes: 1,
+        faults: { dropRate: 0.5 },
+
+        // Drop the 4th message (the second page number)
+        random: () => ((++calls === 4) ? 0 : 1),
+      });
+      const data = testProgram(300);
+
+      return program(port, data)
+      .then((bootloader) => {
+        expect(bootloader.report.retries).to.equal(1);
+        expect(port.node(1).errors).to.equal(2);
+        expect(port.node(1).read(0, 300).equals(data)).to.equal(true);
+      });
+    });
+
+    it('should wait for a slow node to be ready', function () {
+      const port = new SimulatedSerialPort({
+        nodes: [{ address: 1 }, { address: 2, faults: { readyDelay: 150 } }],
+      });
+
+      return program(port, testProgram(10))
+      .then(() => {
+        expect(port.node(2).state).to.equal('done');
+      });
+    });
+
+    it('should time out when a node never gets ready', function () {
+      const port = new SimulatedSerialPort({
+        nodes: [{ address: 1 }, { address: 2, faults: { neverReady: true } }],
+      });
+
+      return program(port, testProgram(10))
+      .then(() => {
+        throw new Error('Programming should fail');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(MultiBootloader.SignalTimeoutError);
+        expect(port.node(2).state).to.equal('starting');
+        port.close();
+      });
+    });
+
+    it('should end programming on the ready nodes when it fails', function () {
+      const port = new SimulatedSerialPort({
+        nodes: [{ address: 1 }, { address: 2, faults: { neverReady: true } }],
+      });
+
+      return program(port, testProgram(10), { crc: true })
+      .then(() => {
+        throw new Error('Programming should fail');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(MultiBootloader.SignalTimeoutError);
+
+        // The image CRC does not match, so the node is back in the bootloader
+        expect(port.node(1).state).to.equal('failed');
+        port.close();
+      });
+    });
+
+    it('should fail when the signal line does not confirm a page', function () {
+      const port = new SimulatedSerialPort({ nodes: 2 });
+      const started = Date.now();
+
+      // The signal line stops responding after the second page is written
+      const signal = {
+        read: () => {
+          if (port.node(1).pagesWritten >= 2) {
+            return new Promise(() => {});
+          }
+          return readSignal(port);
+        },
+      };
+
+      return program(port, testProgram(600), { crc: true, signal, signalTimeout: 200 })
+      .then(() => {
+        throw new Error('Programming should fail');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(MultiBootloader.SignalTimeoutError);
+        expect(err.code).to.equal('ESIGNALTIMEOUT');
+        expect(err.message).to.match(/confirm previous page/);
+        expect(Date.now() - started).to.be.below(1000);
+
+        // The rest of the pages are not sent, and the image CRC does not match
+        port.nodes.forEach((node) => {
+          expect(node.pagesWritten).to.equal(2);
+          expect(node.state).to.equal('failed');
+        });
+        port.close();
+      });
+    });
+
+    it('should program the EEPROM after the flash', function () {
+      const port = new SimulatedSerialPort({ nodes: 2 });
+      const flash = testProgram(300);
+      const eeprom = testProgram(70);
+
+      return program(port, { flash, eeprom }, { crc: true })
+      .then((bootloader) => {
+        expect(bootloader.report.eeprom).to.deep.equal({ pages: 3, bytes: 70 });
+        expect(bootloader.report.pages).to.equal(6);
+        port.nodes.forEach((node) => {
+          expect(node.state).to.equal('done');
+          expect(node.pagesWritten).to.equal(6);
+          expect(node.read(0, 300).equals(flash)).to.equal(true);
+          expect(node.readEeprom(0, 70).equals(eeprom)).to.equal(true);
+          expect(node.readEeprom(70, 1)[0]).to.equal(0xFF);
+        });
+      });
+    });
+
+    it('should resend EEPROM pages that fail', function () {
+      let calls = 0;
+      const port = new SimulatedSerialPort({
+        nodes: 1,
+        faults: { corruptRate: 0.5 },
+
+        // Corrupt the first EEPROM page, the 4th page sent
+        random: () => ((++calls === 4) ? 0 : 1),
+      });
+      const eeprom = testProgram(64);
+
+      return program(port, { flash: testProgram(300), eeprom }, { crc: true })
+      .then((bootloader) => {
+        expect(bootloader.report.retries).to.equal(1);
+        expect(port.node(1).errors).to.equal(1);
+        expect(port.node(1).readEeprom(0, 64).equals(eeprom)).to.equal(true);
+      });
+    });
+
+    it('should verify the EEPROM', function () {
+      const port = new SimulatedSerialPort({ nodes: 2 });
+
+      return program(port, { flash: testProgram(300), eeprom: testProgram(40) }, { verify: true, targets: [1, 2] })
+      .then((bootloader) => {
+        bootloader.verification.forEach((result) => {
+          expect(result.ok).to.equal(true);
+          expect(result.eeprom.ok).to.equal(true);
+          expect(result.eeprom.checksum).to.equal(result.eeprom.expected);
+          expect(result.eeprom.checksum).to.not.equal(result.checksum);
+        });
+      });
+    });
+
+    it('should reject an EEPROM file that is too large', function () {
+      const port = new SimulatedSerialPort({ nodes: 1 });
+
+      return program(port, { flash: testProgram(10), eeprom: testProgram(1025) })
+      .then(() => {
+        throw new Error('Programming should fail');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(MultiBootloader.ImageSizeError);
+        expect(err.message).to.match(/EEPROM file is too large for the atmega328p: it ends at address 1025, but the EEPROM is 1024 bytes/);
+        expect(port.node(1).state).to.equal('bootloader');
+      });
+    });
+
+    it('should program the flash and .eep files', function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multibootloader-'));
+      const files = { flash: path.join(dir, 'program.hex'), eeprom: path.join(dir, 'program.eep') };
+      const flash = testProgram(200);
+      const eeprom = testProgram(20);
+      fs.writeFileSync(files.flash, intelHex(flash));
+      fs.writeFileSync(files.eeprom, intelHex(eeprom));
+
+      const port = new SimulatedSerialPort({ nodes: 1 });
+      const bootloader = new MultiBootloader(port, { mcu: 'atmega328p', timeBetweenPages: 1 });
+
+      return bootloader.program(files)
+      .then(() => {
+        expect(port.node(1).read(0, 200).equals(flash)).to.equal(true);
+        expect(port.node(1).readEeprom(0, 20).equals(eeprom)).to.equal(true);
+      })
+      .then(() => {
+        fs.unlinkSync(files.flash);
+        fs.unlinkSync(files.eeprom);
+        fs.rmdirSync(dir);
+      });
+    });
+  });
+});
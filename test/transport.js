@@ -0,0 +1,294 @@
+/*eslint prefer-arrow-callback: "off"*/
+
+'use strict';
+
+const net = require('net');
+const expect = require('chai').expect;
+
+const MultiBootloader = require('../dist/lib');
+const transport = require('../dist/transport');
+const SimulatedSerialPort = require('../dist/simulator').SimulatedSerialPort;
+const SerialSignal = require('../dist/signal').SerialSignal;
+
+const IAC = 255;
+const SB = 250;
+const SE = 240;
+const COM_PORT_OPTION = 44;
+
+/**
+ * A loopback server that collects what it receives.
+ * RFC 2217 requests are answered with the modem state from `modemState()`,
+ * and `server.notify()` sends it like a server does when the lines change.
+ */
+function startServer(modemState, onData) {
+  const server = net.createServer((socket) => {
+    server.socket = socket;
+    server.notify = () => {
+      socket.write(Buffer.from([IAC, SB, COM_PORT_OPTION, 107, modemState(), IAC, SE]));
+    };
+    socket.on('data', (data) => {
+      server.received = server.received.concat(Array.from(data));
+      if (onData) {
+        onData(data, socket);
+      }
+
+      // Answer modem state requests
+      const request = [IAC, SB, COM_PORT_OPTION, 7, IAC, SE];
+      let index = findSequence(server.received, request, server.answered);
+      while (index > -1) {
+        server.answered = index + request.length;
+        server.notify();
+        index = findSequence(server.received, request, server.answered);
+      }
+    });
+  });
+  server.received = [];
+  server.answered = 0;
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function findSequence(bytes, sequence, from) {
+  for (let i = from; i <= bytes.length - sequence.length; i++) {
+    if (sequence.every((b, j) => bytes[i + j] === b)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Remove the Telnet commands and unescape IAC bytes, on the server side
+function telnetData(bytes) {
+  const data = [];
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] !== IAC) {
+      data.push(bytes[i]);
+    } else if (bytes[i + 1] === IAC) {
+      data.push(IAC);
+      i++;
+    } else if (bytes[i + 1] === SB) {
+      i = bytes.indexOf(SE, i);
+    } else {
+      i += 2;
+    }
+  }
+  return data;
+}
+
+function connect(url, options) {
+  return new Promise((resolve, reject) => {
+    const port = transport.createTransport(url, options, (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(port);
+      }
+    });
+  });
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Transports', function () {
+  let server;
+
+  afterEach(function () {
+    if (server) {
+      server.close();
+      server = null;
+    }
+  });
+
+  it('should only create transports for network URLs', function () {
+    expect(transport.transportScheme('/dev/ttyUSB0')).to.equal(null);
+    expect(transport.transportScheme('tcp://bridge:4000')).to.equal('tcp');
+    expect(transport.transportScheme('RFC2217://bridge:4000')).to.equal('rfc2217');
+    expect(transport.createTransport('/dev/ttyUSB0')).to.equal(null);
+    expect(() => transport.createTransport('tcp://bridge')).to.throw(/host and port/);
+  });
+
+  it('should fail to open when it cannot connect', function () {
+    return startServer()
+    .then((s) => {
+      const port = s.address().port;
+      s.close();
+      return connect(`tcp://127.0.0.1:${port}`);
+    })
+    .then(() => {
+      throw new Error('Should not connect');
+    }, (err) => {
+      expect(err.code).to.equal('ECONNREFUSED');
+    });
+  });
+
+  describe('TCP', function () {
+
+    it('should pass data through in both directions', function () {
+      let port;
+      const received = [];
+      return startServer()
+      .then((s) => {
+        server = s;
+        return connect(`tcp://127.0.0.1:${server.address().port}`, { baudRate: 57600 });
+      })
+      .then((p) => {
+        port = p;
+        expect(port).to.be.an.instanceof(transport.TcpTransport);
+        expect(port.baudRate).to.equal(57600);
+        port.on('data', data => received.push.apply(received, Array.from(data)));
+        port.write(Buffer.from([1, 2, IAC]));
+        return wait(50);
+      })
+      .then(() => {
+        expect(server.received).to.deep.equal([1, 2, IAC]);
+        server.socket.write(Buffer.from([3, IAC, 4]));
+        return wait(50);
+      })
+      .then(() => {
+        expect(received).to.deep.equal([3, IAC, 4]);
+        return new Promise(resolve => port.close(resolve));
+      })
+      .then(() => {
+        expect(port.isOpen).to.equal(false);
+      });
+    });
+
+    it('should not read the modem lines', function () {
+      return startServer()
+      .then((s) => {
+        server = s;
+        return connect(`tcp://127.0.0.1:${server.address().port}`);
+      })
+      .then(port => new Promise((resolve) => {
+        port.get((err) => {
+          expect(err.message).to.match(/cannot read the modem lines/);
+          port.close(resolve);
+        });
+      }));
+    });
+  });
+
+  describe('RFC 2217', function () {
+
+    it('should send the serial settings', function () {
+      return startServer(() => 0)
+      .then((s) => {
+        server = s;
+        return connect(`rfc2217://127.0.0.1:${server.address().port}`, { baudRate: 115200 });
+      })
+      .then((port) => {
+        expect(port).to.be.an.instanceof(transport.Rfc2217Transport);
+        return wait(50).then(() => port);
+      })
+      .then((port) => {
+        const baud = [IAC, SB, COM_PORT_OPTION, 1, 0x00, 0x01, 0xC2, 0x00, IAC, SE];
+        expect(findSequence(server.received, [IAC, 251, COM_PORT_OPTION], 0)).to.be.above(-1);
+        expect(findSequence(server.received, baud, 0)).to.be.above(-1);
+        port.close();
+      });
+    });
+
+    it('should escape IAC bytes', function () {
+      let port;
+      const received = [];
+      return startServer(() => 0)
+      .then((s) => {
+        server = s;
+        return connect(`rfc2217://127.0.0.1:${server.address().port}`);
+      })
+      .then((p) => {
+        port = p;
+        port.on('data', data => received.push.apply(received, Array.from(data)));
+        port.write(Buffer.from([1, IAC, 2]));
+        server.socket.write(Buffer.from([3, IAC, IAC, 4]));
+        return wait(50);
+      })
+      .then(() => {
+        expect(telnetData(server.received)).to.deep.equal([1, IAC, 2]);
+        expect(received).to.deep.equal([3, IAC, 4]);
+        port.close();
+      });
+    });
+
+    it('should read the modem lines', function () {
+      let modemState = 0x20;
+      let port;
+      return startServer(() => modemState)
+      .then((s) => {
+        server = s;
+        return connect(`rfc2217://127.0.0.1:${server.address().port}`);
+      })
+      .then((p) => {
+        port = p;
+        return new SerialSignal(port, 'dsr').read();
+      })
+      .then((enabled) => {
+        expect(enabled).to.equal(true);
+        modemState = 0x90;
+        server.notify();
+        return wait(50);
+      })
+      .then(() => new Promise(resolve => port.get((err, status) => resolve(status))))
+      .then((status) => {
+        expect(status).to.deep.equal({ dcd: true, ri: false, dsr: false, cts: true });
+
+        // Without a notification, the last state is kept
+        modemState = 0x20;
+        return new Promise(resolve => port.get((err, status) => resolve(status)));
+      })
+      .then((status) => {
+        expect(status).to.deep.equal({ dcd: true, ri: false, dsr: false, cts: true });
+        port.close();
+      });
+    });
+
+    it('should program simulated nodes behind the server', function () {
+      this.timeout(5000);
+
+      const bus = new SimulatedSerialPort({ nodes: 2 });
+      const modemState = () => (bus.nodes.some(node => node.signal) ? 0x20 : 0);
+      const data = Buffer.alloc(300, 0xAA);
+      let sent = 0;
+      let notified = null;
+
+      // Notify the modem state when it changes, like a server watching the lines
+      const watcher = setInterval(() => {
+        if (server && server.notify && modemState() !== notified) {
+          notified = modemState();
+          server.notify();
+        }
+      }, 5);
+
+      return startServer(modemState, () => {
+        const bytes = telnetData(server.received);
+        bus.write(Buffer.from(bytes.slice(sent)));
+        sent = bytes.length;
+      })
+      .then((s) => {
+        server = s;
+        return connect(`rfc2217://127.0.0.1:${server.address().port}`, { baudRate: 115200 });
+      })
+      .then((port) => {
+        const bootloader = new MultiBootloader(port, { mcu: 'atmega328p', timeBetweenPages: 1 });
+        bootloader.on('error', () => {});
+        return bootloader.programBuffer(data, { format: 'bin' })
+        .then(() => wait(50))
+        .then(() => port.close());
+      })
+      .then(() => {
+        bus.nodes.forEach((node) => {
+          expect(node.state).to.equal('done');
+          expect(node.read(0, 300).equals(data)).to.equal(true);
+        });
+      })
+      .then(() => clearInterval(watcher), (err) => {
+        clearInterval(watcher);
+        throw err;
+      });
+    });
+  });
+});